@@ -46,6 +46,15 @@ KCL.Director = KCL.Director || {};
  * direction and the direction will be "active" until you end it or until the
  * director is told to end it. 
  * 
+ * Anything the parser can't make sense of (an unknown actor, verb, target,
+ * preposition or stray word) is recorded as a Diagnostic on the context and
+ * is available from direction.getDiagnostics(). Each diagnostic has a
+ * severity, the offending token, its index in the context's args and the
+ * state (Speech.*) the parser was in. A verb's validator can add its own,
+ * e.g. BOARD with nothing to board. Call director.setStrict(true) to have
+ * the first error throw a KCL.Director.ParseError instead, which is handy
+ * for catching typos in event scripts during playtest.
+ * 
  */
 
 (function() {
@@ -63,6 +72,8 @@ KCL.Director = KCL.Director || {};
     REPEAT: 'repeat',
     TOKEN: 'token',
     DELAY: 'delay',
+    VERBATIM: 'verbatim',
+    PRIORITY: 'priority',
     END: 'end',
     END_ASYNC: 'endAsync'
   };
@@ -73,7 +84,8 @@ KCL.Director = KCL.Director || {};
   var FillerWords = {
     'actor': [
       'THE',
-      'WITH'
+      'WITH',
+      'OF'
     ],
     'verb': [
       'TO'
@@ -81,10 +93,16 @@ KCL.Director = KCL.Director || {};
     'preposition': [
       'TO',
       'THE',
-      'OF'
+      'OF',
+      'FROM'
     ]
   };
 
+  // Phrases read as a single word, e.g. MOVE IN FRONT OF KING.
+  var CompoundWords = {
+    'IN FRONT': 'FRONT'
+  };
+
   // 
   // These are words which, when encountered, will
   // change the current context state to a new state.
@@ -99,6 +117,10 @@ KCL.Director = KCL.Director || {};
       'THEN': Speech.END,
       'WHILE': Speech.END_ASYNC,
       'REPEAT': Speech.REPEAT,
+      'AFTER': Speech.DELAY,
+      'DELAY': Speech.DELAY,
+      'NOW': Speech.PRIORITY,
+      'QUEUE': Speech.PRIORITY
     },
     'preposition': {
       'WITH': Speech.WITH,
@@ -106,7 +128,12 @@ KCL.Director = KCL.Director || {};
       'UNTIL': Speech.CONDITION,
       'FOR': Speech.DURATION,
       'THEN': Speech.END,
-      'WHILE': Speech.END_ASYNC
+      'WHILE': Speech.END_ASYNC,
+      'REPEAT': Speech.REPEAT,
+      'AFTER': Speech.DELAY,
+      'DELAY': Speech.DELAY,
+      'NOW': Speech.PRIORITY,
+      'QUEUE': Speech.PRIORITY
     }
   };
 
@@ -132,15 +159,24 @@ KCL.Director = KCL.Director || {};
   };
 
   var DurationUnits = [
+    'FRAME',
     'FRAMES',
+    'SECOND',
     'SECONDS',
+    'MINUTE',
     'MINUTES'
   ];
 
   var RepeaterUnits = [
+    'TIME',
     'TIMES'
   ];
 
+  var FOREVER = 'FOREVER';
+
+  // NOW cuts in line, QUEUE waits its turn (the default for most verbs).
+  var NOW = 'NOW';
+
   // States which must share the same context switches as the Default.
   // This is useful if states are optional or could end indeterminately. 
   var DefaultStates = [Speech.ADVERB];  
@@ -164,8 +200,31 @@ KCL.Director = KCL.Director || {};
     Actor: 'ACTOR',
     Director: 'DIRECTOR'
   }
+
+  var Severity = {
+    Error: 'error',
+    Warning: 'warning'
+  }
+
+  // Lifecycle events a Director emits; see Director.prototype.on
+  var Events = {
+    DirectionInit: 'directionInit',
+    ActionDone: 'actionDone',
+    DirectionDone: 'directionDone',
+    SceneIdle: 'sceneIdle',
+    ParseError: 'parseError'
+  }
                            
   var AND = 'AND';
+  var OR = 'OR';
+
+  // Words for picking out several actors at once:
+  //   ALL EXCEPT PLAYER, EACH OF GUARDS, EVERYONE NAMED VILLAGER*
+  // On its own a quantifier means everyone.
+  var ALL = 'ALL';
+  var Quantifiers = [ALL, 'EVERYONE', 'EACH', 'BOTH'];
+  var EXCEPT = 'EXCEPT';
+  var NAMED = 'NAMED';
                                          
   var FPS = 60; 
 
@@ -177,9 +236,11 @@ KCL.Director = KCL.Director || {};
   KCL.Director.Coords = Coords;
   KCL.Director.Condition = Condition;
   KCL.Director.Context = Context;
+  KCL.Director.CompoundWords = CompoundWords;
   KCL.Director.ContextSwitches = ContextSwitches;
   KCL.Director.DefaultStates = DefaultStates;
   KCL.Director.Delay = Delay;
+  KCL.Director.Diagnostic = Diagnostic;
   KCL.Director.DirectedTo = DirectedTo;
   KCL.Director.Direction = Direction;
   KCL.Director.DirectionState = DirectionState;
@@ -187,15 +248,22 @@ KCL.Director = KCL.Director || {};
   KCL.Director.Director = Director;
   KCL.Director.DirectorFactory = DirectorFactory;
   KCL.Director.Duration = Duration;
+  KCL.Director.Events = Events;
   KCL.Director.DurationUnits = DurationUnits;
   KCL.Director.FillerWords = FillerWords;
+  KCL.Director.ParseError = ParseError;
   KCL.Director.Preposition = Preposition;
   KCL.Director.PrepositionalPhrase = PrepositionalPhrase;
   KCL.Director.PrepositionalUnitConversions = PrepositionalUnitConversions;
   KCL.Director.PrepositionalUnits = PrepositionalUnits;
+  KCL.Director.Quantifiers = Quantifiers;
+  KCL.Director.Repeat = Repeat;
+  KCL.Director.RepeaterUnits = RepeaterUnits;
+  KCL.Director.Severity = Severity;
   KCL.Director.Speech = Speech;
   KCL.Director.Target = Target;
   KCL.Director.Verb = Verb;
+  KCL.Director.unquote = unquote;
 
   function Verb(config) {
     config = _.defaults({}, config, {
@@ -210,7 +278,12 @@ KCL.Director = KCL.Director || {};
       initialState: Speech.ADVERB,
       fillerWords: [],
       contextSwitches: {},
-      interrupt: false
+      interrupt: false,
+      immediate: false,
+      quotes: false,
+      numbers: false,
+      validator: null,
+      macro: null
     });
 
     this.verb = config.verb;
@@ -225,6 +298,11 @@ KCL.Director = KCL.Director || {};
     this.fillerWords = config.fillerWords;
     this.contextSwitches = config.contextSwitches;
     this.interrupt = config.interrupt;
+    this.immediate = config.immediate;
+    this.quotes = config.quotes;
+    this.numbers = config.numbers;
+    this.validator = config.validator;
+    this.macro = config.macro;
   }
 
   Verb.prototype.getVerb = function() {
@@ -255,6 +333,35 @@ KCL.Director = KCL.Director || {};
     return _.contains(this.prepositions, preposition);
   }
 
+  // Immediate verbs are handled as soon as they're parsed instead of waiting
+  // their turn in the scene.
+  Verb.prototype.isImmediate = function() {
+    return this.immediate;
+  }
+
+  // Verbs which accept quotes take quoted words as text, e.g. SAY "Hello",
+  // rather than as the name of a target. Likewise for numbers, e.g. 
+  // ANIMATE 42.
+  Verb.prototype.acceptsToken = function(word) {
+    return (this.quotes && isQuoted(word)) || (this.numbers && /^\d+$/.test(word));
+  }
+
+  // What's wrong with a parsed direction as far as the verb is concerned,
+  // if anything. The validator is called with the director as this.
+  Verb.prototype.validate = function(director, direction) {
+    return this.validator ? this.validator.call(director, direction) : undefined;
+  }
+
+  // A macro verb has no handler of its own. Wherever it's used the parser
+  // swaps it for the words it was defined as.
+  Verb.prototype.isMacro = function() {
+    return _.isArray(this.macro);
+  }
+
+  Verb.prototype.getMacro = function() {
+    return this.macro;
+  }
+
   // Prepositions are a bitch.
   // Prepositions can come in many flavors.
   // MOVE LEFT <- Keep going left.
@@ -290,15 +397,44 @@ KCL.Director = KCL.Director || {};
     EQ: 'EQUALS',
     LT: 'LESSTHAN',
     GT: 'GREATERTHAN',
+    NEAR: 'NEAR',
+    REACHES: 'REACHES'
+  }
+
+  // What a condition is about: an actor (or target), a game switch or a
+  // game variable.
+  var ConditionSubjects = {
+    Target: 'target',
+    Switch: 'SWITCH',
+    Variable: 'VARIABLE'
   }
 
+  var ConditionValues = {
+    DONE: ['DONE', 'FINISHED'],
+    ON: ['ON', 'TRUE'],
+    OFF: ['OFF', 'FALSE']
+  }
+
+  KCL.Director.ConditionComparator = ConditionComparator;
+  KCL.Director.ConditionSubjects = ConditionSubjects;
+
   // An Condition specifies a conditional reason to end a direction.
+  //   <actor> IS DONE
+  //   <actor> IS NEAR <target>
+  //   <actor> REACHES <target>
+  //   SWITCH <id> IS ON|OFF
+  //   VARIABLE <id> IS|EQUALS|LESSTHAN|GREATERTHAN <number>
+  // Conditions can be linked with AND / OR, AND binding tighter.
   function Condition() {
     this._next = undefined;
+    this._connector = undefined;
+    this._subject = undefined;
+    this._id = undefined;
     this._target = undefined;
     this._comparator = undefined;
     this._value = undefined;
     this._preposition = undefined;
+    this._director = undefined;
   }
 
   Condition.prototype.hasNext = function() { 
@@ -309,13 +445,58 @@ KCL.Director = KCL.Director || {};
     return this._next;
   }
 
-  Condition.prototype.next = function(comparator, condition) {
+  // link another condition onto this one with AND or OR
+  Condition.prototype.next = function(connector, condition) {
+    this._connector = connector;
     this._next = condition;
   }
 
+  Condition.prototype.getConnector = function() {
+    return this._connector;
+  }
+
+  // the condition at the end of the chain
+  Condition.prototype.last = function() {
+    var condition = this;
+    while (condition.hasNext()) condition = condition.getNext();
+    return condition;
+  }
+
+  // whether this single condition has everything it needs
+  Condition.prototype.isComplete = function() {
+    if (!this._subject || !this._comparator || _.isUndefined(this._value)) return false;
+    if (this._subject === ConditionSubjects.Target) return this._target.isActor();
+    return !_.isUndefined(this._id);
+  }
+
+  // whether every condition in the chain is complete
   Condition.prototype.isValid = function() {
-    return this._target && this._comparator && this._value &&
-           this._target.isActor();
+    return this.isComplete() && (!this.hasNext() || this.getNext().isValid());
+  }
+
+  Condition.prototype.setDirector = function(director) {
+    this._director = director;
+  }
+
+  Condition.prototype.hasSubject = function() {
+    return !!this._subject;
+  }
+
+  Condition.prototype.getSubject = function() {
+    return this._subject;
+  }
+
+  Condition.prototype.setSubject = function(subject) {
+    this._subject = subject;
+  }
+
+  Condition.prototype.hasId = function() {
+    return !_.isUndefined(this._id);
+  }
+
+  Condition.prototype.setId = function(id) {
+    var i = parseInt(id, 10);
+    if (_.isFinite(i)) this._id = i;
   }
 
   Condition.prototype.hasTarget = function() {
@@ -328,35 +509,98 @@ KCL.Director = KCL.Director || {};
 
   Condition.prototype.setTarget = function(target) {
     this._target = target;
+    if (target) this._subject = ConditionSubjects.Target;
+  }
+
+  Condition.prototype.hasComparator = function() {
+    return !!this._comparator;
+  }
+
+  Condition.prototype.getComparator = function() {
+    return this._comparator;
   }
 
   Condition.prototype.setComparator = function(comparator) {
-    this._comparator = comparator;
+    if (_.contains(_.values(ConditionComparator), comparator))
+      this._comparator = comparator;
+  }
+
+  Condition.prototype.hasValue = function() {
+    return !_.isUndefined(this._value);
   }
 
+  // the value is checked against what the comparator and subject allow: a
+  // target for NEAR/REACHES, DONE for actors, ON/OFF for switches and a
+  // number for variables.
   Condition.prototype.setValue = function(value) {
-    this._value = value;
+    var comparator = this._comparator;
+    if (comparator === ConditionComparator.NEAR || comparator === ConditionComparator.REACHES) {
+      if (value instanceof Target) this._value = value;
+    } else if (this._subject === ConditionSubjects.Target) {
+      if (comparator === ConditionComparator.IS && _.contains(ConditionValues.DONE, value))
+        this._value = ActionStates.Done.toUpperCase();
+    } else if (this._subject === ConditionSubjects.Switch) {
+      if (_.contains(ConditionValues.ON, value)) this._value = true;
+      else if (_.contains(ConditionValues.OFF, value)) this._value = false;
+    } else if (this._subject === ConditionSubjects.Variable) {
+      var i = parseInt(value, 10);
+      if (_.isFinite(i)) this._value = i;
+    }
   }
 
+  // Evaluates the whole chain. AND binds tighter than OR so the chain is
+  // treated as groups of ANDs which are OR'd together.
   Condition.prototype.isMet = function(actor, direction) {
     if (!this.isValid()) return true;
 
+    var met = false;
+    var group = true;
+    var condition = this;
+    while (condition) {
+      group = group && condition.test(actor, direction);
+      if (!condition.hasNext() || condition.getConnector() === OR) {
+        met = met || group;
+        group = true;
+      }
+      condition = condition.getNext();
+    }
+    return met;
+  }
+
+  // Evaluates just this condition.
+  Condition.prototype.test = function(actor, direction) {
+    switch (this._subject) {
+      case ConditionSubjects.Switch: {
+        return !!this._director.getSwitch(this._id) === this._value;
+      }
+      case ConditionSubjects.Variable: {
+        var value = this._director.getVariable(this._id);
+        switch (this._comparator) {
+          case ConditionComparator.LT: return value < this._value;
+          case ConditionComparator.GT: return value > this._value;
+          default: return value === this._value;
+        }
+      }
+    }
+
     var target = this.getTarget().getActor();
 
     switch (this._comparator) {
       case ConditionComparator.IS: {
         if (this._value === ActionStates.Done.toUpperCase()) {
-          // see if the target is done
-          var actionStates = _(target.state.getDirections())
-            .filter(function(actorDirection) { return actorDirection !== direction })
-            .map(function(actorDirection) { return actorDirection.actionState(actor) })
-            .value();
-          return !_.any(actionStates) ||
-            _.every(actionStates, function(actionState) { return actionState.getStatus() === ActionStates.Done });
+          // see if the target is done with everything besides this direction
+          return target.isDone(direction);
         } 
         break;
       }
+      case ConditionComparator.NEAR: {
+        return target.coords().near(this._value.coords());
+      }
+      case ConditionComparator.REACHES: {
+        return target.coords().equals(this._value.coords());
+      }
     }
+    return false;
   }
 
   // Used to generate a Director object or obtain the current Singleton.
@@ -398,6 +642,17 @@ KCL.Director = KCL.Director || {};
 
   }
 
+  // whether the actor has finished every direction it was given, optionally
+  // ignoring one (usually the direction asking).
+  Actor.prototype.isDone = function(except) {
+    var id = this.id();
+    return _.every(this.state.getDirections(), function(direction) {
+      if (direction === except) return true;
+      var actionState = direction.state.actionState()[id];
+      return !!actionState && actionState.getStatus() === ActionStates.Done;
+    });
+  }
+
   // resets the actorState.
   Actor.prototype.reset = function() {
     this._state = new ActorState();
@@ -430,6 +685,10 @@ KCL.Director = KCL.Director || {};
     return this.directions.push(direction);
   }
 
+  ActorState.prototype.insert = function(direction, index) {
+    this.directions.splice(index, 0, direction);
+  }
+
   ActorState.prototype.hasNext = function() {
     return !_.isUndefined(this.directions[1]);
   }
@@ -450,6 +709,8 @@ KCL.Director = KCL.Director || {};
     this._x = 0;
     this._y = 0;
     this._actor = undefined;
+    this._tiles = undefined;
+    this._relative = undefined;
   }
 
   // Builds a target from a Coords object
@@ -461,7 +722,8 @@ KCL.Director = KCL.Director || {};
     return t;
   }
 
-  // Builds a target from x, y coordinates
+  // Builds a target from x, y coordinates. Either may be a function, e.g.
+  // reading a game variable, which is called whenever the target is needed.
   Target.prototype.fromCoordinates = function(x,y) {
     var t = new Target();
     t._x = x;
@@ -483,6 +745,48 @@ KCL.Director = KCL.Director || {};
     return undefined;
   }
 
+  // Builds a target from a list of Coords, any one of which will do. Where
+  // a single spot is needed the first tile stands in for the lot.
+  Target.prototype.fromTiles = function(tiles) {
+    var t = new Target();
+    t._tiles = tiles;
+    t._x = tiles[0].x;
+    t._y = tiles[0].y;
+    t._actor = undefined;
+    return t;
+  }
+
+  // Builds a target which is (partly) relative to whoever's heading there,
+  // e.g. [+1,-2]. Either coordinate can be fixed instead.
+  Target.prototype.fromRelative = function(x, y, relativeX, relativeY) {
+    var t = Target.prototype.fromCoordinates(x, y);
+    t._relative = { x: relativeX, y: relativeY };
+    return t;
+  }
+
+  Target.prototype.isRelative = function() {
+    return !!this._relative;
+  }
+
+  // the fixed target this one means for an actor
+  Target.prototype.relativeTo = function(actor) {
+    if (!this.isRelative()) return this;
+    var coords = actor.coords();
+    var offset = this.coords();
+    return Target.prototype.fromCoordinates(
+      this._relative.x ? coords.x + offset.x : offset.x,
+      this._relative.y ? coords.y + offset.y : offset.y);
+  }
+
+  // whether this is somewhere in an area, e.g. a region, rather than a spot
+  Target.prototype.isArea = function() {
+    return !!this._tiles;
+  }
+
+  Target.prototype.getTiles = function() {
+    return this._tiles;
+  }
+
   // determines whether or not hte target is a fixed coordinate
   // or subject to continuous change
   Target.prototype.isFixed = function() {
@@ -496,10 +800,14 @@ KCL.Director = KCL.Director || {};
     if (this._actor) {
       return this._actor.coords();
     } else {
-      return new Coords(this._x, this._y);
+      return new Coords(coordinate(this._x), coordinate(this._y));
     }
   }
 
+  function coordinate(value) {
+    return _.isFunction(value) ? value() : value;
+  }
+
   // apply a prepositional phrase to a target to acquire a new set of
   // mutated coordinates. if the preposition is valid to perform this
   // operation, the original target is not mutated. instead, a new target
@@ -555,9 +863,33 @@ KCL.Director = KCL.Director || {};
     this._async = false;
     this._tokens = [];
     this._id = _.uniqueId();
+    this._previous = undefined;
+    this._next = undefined;
+    this._halted = false;
+    this._interrupt = undefined;
     this.state = new DirectionState(this);
   }
 
+  // A fresh, not yet started copy of this direction. The parsed parts are
+  // shared, except prepositional phrases which handlers mark as used.
+  Direction.prototype.clone = function() {
+    var direction = new Direction(this._context);
+    direction._actors = this._actors.slice();
+    direction._verb = this._verb;
+    direction._adverbs = this._adverbs.slice();
+    direction._condition = this._condition;
+    direction._prepositions = _.invoke(this._prepositions, 'clone');
+    direction._with = this._with.slice();
+    direction._duration = this._duration;
+    direction._delay = this._delay;
+    direction._targets = this._targets.slice();
+    direction._repeat = this._repeat;
+    direction._async = this._async;
+    direction._tokens = this._tokens.slice();
+    direction._interrupt = this._interrupt;
+    return direction;
+  }
+
   Direction.prototype.setActors = function(actors) {
     this._actors = actors;
   }
@@ -567,7 +899,11 @@ KCL.Director = KCL.Director || {};
   }
 
   Direction.prototype.addActor = function(actor) {
-    this._actors = this._actors.concat(actor);
+    this._actors = _.union(this._actors, [].concat(actor));
+  }
+
+  Direction.prototype.removeActor = function(actor) {
+    this._actors = _.difference(this._actors, [].concat(actor));
   }
 
   Direction.prototype.hasActor = function() {
@@ -621,6 +957,17 @@ KCL.Director = KCL.Director || {};
     return this._duration;
   }
 
+  // frames since the direction started running
+  Direction.prototype.elapsed = function() {
+    return this.state.elapsed();
+  }
+
+  // whether the direction has run for its whole FOR <n> <unit> duration.
+  // Verb handlers can use this to end time-bound actions.
+  Direction.prototype.isExpired = function() {
+    return this.hasDuration() && this.elapsed() >= this._duration.getFrames();
+  }
+
   Direction.prototype.hasDelay = function() {
     return !!this._delay;
   }
@@ -646,7 +993,7 @@ KCL.Director = KCL.Director || {};
   }
 
   Direction.prototype.addWith = function(actor) {
-    this._with.push(actor);
+    this._with = _.union(this._with, [].concat(actor));
   }
 
   Direction.prototype.hasWith = function() {
@@ -666,7 +1013,7 @@ KCL.Director = KCL.Director || {};
   }
 
   Direction.prototype.addTarget = function(target) {
-    return this._targets.push(target);
+    this._targets = this._targets.concat(target);
   }
 
   Direction.prototype.setTarget = function(target) {
@@ -694,6 +1041,54 @@ KCL.Director = KCL.Director || {};
     return this._repeat;
   }
 
+  // Directions chained together with THEN form a linked list.
+  Direction.prototype.setPrevious = function(direction) {
+    this._previous = direction;
+  }
+
+  Direction.prototype.getPrevious = function() {
+    return this._previous;
+  }
+
+  Direction.prototype.setNext = function(direction) {
+    this._next = direction;
+  }
+
+  Direction.prototype.getNext = function() {
+    return this._next;
+  }
+
+  // The part of the chain a REPEAT on this direction applies to: everything
+  // since the start of the chain or since the last direction to repeat.
+  Direction.prototype.chainSegment = function() {
+    var segment = [this];
+    var previous = this.getPrevious();
+    while (previous && !previous.doesRepeat()) {
+      segment.unshift(previous);
+      previous = previous.getPrevious();
+    }
+    return segment;
+  }
+
+  Direction.prototype.halt = function() {
+    this._halted = true;
+  }
+
+  Direction.prototype.isHalted = function() {
+    return this._halted;
+  }
+
+  // Whether this direction cuts in front of whatever its actors are doing.
+  // Unless told otherwise with NOW or QUEUE it's up to the verb.
+  Direction.prototype.isInterrupt = function() {
+    if (!_.isUndefined(this._interrupt)) return this._interrupt;
+    return !!this._verb && this._verb.interrupt;
+  }
+
+  Direction.prototype.setInterrupt = function(interrupt) {
+    this._interrupt = interrupt;
+  }
+
   Direction.prototype.isAsync = function() {
     return this._async;
   }
@@ -714,6 +1109,10 @@ KCL.Director = KCL.Director || {};
     return this._context;
   }
 
+  Direction.prototype.getDiagnostics = function() {
+    return this._context ? this._context.getDiagnostics() : [];
+  }
+
   function ActionState(actor) {
     this.status = ActionStates.Init;
     this.data = {};
@@ -734,6 +1133,16 @@ KCL.Director = KCL.Director || {};
     this.waitOn = true;
     this.data = {};
     this._actionStates = {};
+    this._elapsed = 0;
+  }
+
+  DirectionState.prototype.elapsed = function() {
+    return this._elapsed;
+  }
+
+  // advance the direction's clock by a frame
+  DirectionState.prototype.elapse = function() {
+    this._elapsed++;
   }
 
   DirectionState.prototype.getStatus = function() {
@@ -785,6 +1194,18 @@ KCL.Director = KCL.Director || {};
     return this.preposition;
   }
 
+  PrepositionalPhrase.prototype.setPreposition = function(preposition) {
+    this.preposition = preposition;
+  }
+
+  PrepositionalPhrase.prototype.clone = function() {
+    var phrase = new PrepositionalPhrase(this.preposition);
+    phrase.amount = this.amount;
+    phrase.unit = this.unit;
+    phrase.targets = this.targets.slice();
+    return phrase;
+  }
+
   PrepositionalPhrase.prototype.setAmount = function(amt) {
     if (_.isFinite(amt)) {
       this.amount = amt;
@@ -808,7 +1229,7 @@ KCL.Director = KCL.Director || {};
   }
 
   PrepositionalPhrase.prototype.addTarget = function(target) {
-    return this.targets.push(target);
+    this.targets = this.targets.concat(target);
   }
 
   PrepositionalPhrase.prototype.getTargets = function() {
@@ -842,15 +1263,15 @@ KCL.Director = KCL.Director || {};
 
   Duration.prototype.getFrames = function() {
     switch(this._unit) {
-      case DurationUnits.SECONDS: {
+      case 'SECONDS': {
         return this._duration * FPS;
         break;
       }
-      case DurationUnits.MINUTES: {
+      case 'MINUTES': {
         return this._duration * FPS * 60;
         break;
       }
-      case DurationUnits.FRAMES: {
+      case 'FRAMES': {
         return this._duration;
         break;
       }
@@ -859,11 +1280,23 @@ KCL.Director = KCL.Director || {};
 
   Duration.prototype.setUnit = function(unit) {
     if (_.contains(['SECOND', 'SECONDS'], unit)) 
-      this._unit = DurationUnits.SECONDS;
-    else if (_.contains(['MINUTE', 'MINUTES'])) 
-      this._unit = DurationUnits.MINUTES;
-    else if (_.contains(['FRAME', 'FRAMES']))
-      this._unit = DurationUnits.FRAMES;
+      this._unit = 'SECONDS';
+    else if (_.contains(['MINUTE', 'MINUTES'], unit)) 
+      this._unit = 'MINUTES';
+    else if (_.contains(['FRAME', 'FRAMES'], unit))
+      this._unit = 'FRAMES';
+  }
+
+  Duration.prototype.hasDuration = function() {
+    return !_.isUndefined(this._duration);
+  }
+
+  Duration.prototype.hasUnit = function() {
+    return !_.isUndefined(this._unit);
+  }
+
+  Duration.prototype.isComplete = function() {
+    return this.hasDuration() && this.hasUnit();
   }
 
   Duration.prototype.setDuration = function(duration) {
@@ -875,13 +1308,73 @@ KCL.Director = KCL.Director || {};
     }
   }
 
+  // A delay holds a direction back from starting until either a duration
+  // has passed or a condition has been met.
   function Delay() {
     this._duration = undefined;
+    this._condition = undefined;
   }
 
+  Delay.prototype.hasDuration = function() {
+    return !!this._duration;
+  }
+
+  Delay.prototype.getDuration = function() {
+    return this._duration;
+  }
+
+  Delay.prototype.setDuration = function(duration) {
+    this._duration = duration;
+  }
+
+  Delay.prototype.hasCondition = function() {
+    return !!this._condition;
+  }
+
+  Delay.prototype.getCondition = function() {
+    return this._condition;
+  }
+
+  Delay.prototype.setCondition = function(condition) {
+    this._condition = condition;
+  }
+
+  Delay.prototype.isComplete = function() {
+    if (this.hasDuration()) return this._duration.isComplete();
+    if (this.hasCondition()) return !!this._condition.isValid();
+    return false;
+  }
+
+  // Called once a frame while the direction is delayed. Returns whether the
+  // delay is over. The countdown lives on the direction's state so repeated
+  // copies of a direction each get their own.
+  Delay.prototype.update = function(direction) {
+    var data = direction.state.data;
+    if (!data.delayOver) {
+      if (this.hasDuration()) {
+        data.delayFrames = (data.delayFrames || 0) + 1;
+        data.delayOver = data.delayFrames >= this._duration.getFrames();
+      } else if (this.hasCondition()) {
+        data.delayOver = !!this._condition.isMet(undefined, direction);
+      } else {
+        data.delayOver = true;
+      }
+    }
+    return data.delayOver;
+  }
+
+  Delay.prototype.isOver = function(direction) {
+    return !!direction.state.data.delayOver;
+  }
+
+  // A repeat runs a direction (and whatever it was chained to) a number of
+  // times in total, or forever until halted.
   function Repeat() {
     this._amount = undefined;
     this._unit = undefined;
+    this._forever = false;
+    this._iteration = 1;
+    this._chain = [];
   }
 
   Repeat.prototype.getAmount = function() {
@@ -893,20 +1386,27 @@ KCL.Director = KCL.Director || {};
   }
 
   Repeat.prototype.setAmount = function(amount) {
-    if (_.isFinite(amt)) {
-      this.amount = amt;
-    } else if (_.isString(amt)) {
-      var i = parseInt(amt,10);
+    if (amount === FOREVER) {
+      this._forever = true;
+      this._amount = Infinity;
+    } else if (_.isFinite(amount)) {
+      this._amount = amount;
+    } else if (_.isString(amount)) {
+      var i = parseInt(amount,10);
       this.setAmount(i);
     }
   }
 
+  Repeat.prototype.isForever = function() {
+    return this._forever;
+  }
+
   Repeat.prototype.getUnit = function(unit) {
     return this._unit;
   }
 
   Repeat.prototype.setUnit = function(unit) {
-    if (_.has(RepeaterUnits, unit)) 
+    if (_.contains(RepeaterUnits, unit)) 
       this._unit = unit;
   }
 
@@ -914,6 +1414,68 @@ KCL.Director = KCL.Director || {};
     return !_.isUndefined(this._unit);
   }
 
+  Repeat.prototype.isComplete = function() {
+    return this.hasAmount() && (this.hasUnit() || this.isForever());
+  }
+
+  // The untouched directions to replay each time around.
+  Repeat.prototype.setChain = function(directions) {
+    this._chain = directions;
+  }
+
+  Repeat.prototype.getChain = function() {
+    return this._chain;
+  }
+
+  // Called each time the repeated directions finish. Returns whether they
+  // should run again.
+  Repeat.prototype.again = function() {
+    if (this.isForever()) return true;
+    if (this._iteration >= this._amount) return false;
+    this._iteration++;
+    return true;
+  }
+
+  // Something the parser could not make sense of. Records the offending
+  // token, where it sat in the context's args and the state (Speech.*) the
+  // parser was in when it gave up on it.
+  function Diagnostic(severity, message, token, index, state) {
+    this.severity = severity;
+    this.message = message;
+    this.token = token;
+    this.index = index;
+    this.state = state;
+  }
+
+  Diagnostic.prototype.isError = function() {
+    return this.severity === Severity.Error;
+  }
+
+  Diagnostic.prototype.toString = function() {
+    return 'director :: ' + this.message + ' "' + this.token + '" (' + 
+      this.state + ' at ' + this.index + ')';
+  }
+
+  // Thrown by a strict Director as soon as an error is diagnosed.
+  function ParseError(diagnostic) {
+    this.name = 'ParseError';
+    this.message = diagnostic.toString();
+    this.diagnostic = diagnostic;
+    this.stack = (new Error(this.message)).stack;
+  }
+
+  ParseError.prototype = Object.create(Error.prototype);
+  ParseError.prototype.constructor = ParseError;
+
+  function isQuoted(word) {
+    return /^".*"$/.test(word);
+  }
+
+  // strips the quotes, and the escapes from any quotes inside
+  function unquote(word) {
+    return word.replace(/^"(.*)"$/, '$1').replace(/\\"/g, '"');
+  }
+
   // A context is an active command sequence that can be processed
   // into a stage direction.
   function Context(args) {
@@ -924,7 +1486,10 @@ KCL.Director = KCL.Director || {};
     this._verb = undefined;
     this._actors = [];
     this._deferred = [];
+    this._deferredIndexes = [];
     this._unknown = [];
+    this._unknownIndexes = [];
+    this._diagnostics = [];
     this._retry = false; // ignore one advance
     this._previousVerb = undefined;
     this._isDeferred = false;
@@ -938,8 +1503,11 @@ KCL.Director = KCL.Director || {};
     return Context.prototype.fromString(args);
   }
 
+  // Quoted words keep their case, they may be text rather than a name.
   Context.prototype.fromString = function(string) {
-    var args = string.match(/[\w#!]+|"(?:\\"|[^"])+"|\((?:\\\(|[^\)])+\)/g).map(function(a) { return a.toUpperCase(); });
+    var args = string.match(/[\w#!*]+|\[[^\]]*\]|"(?:\\"|[^"])+"|\((?:\\\(|[^\)])+\)/g).map(function(a) { 
+      return isQuoted(a) ? a : a.toUpperCase(); 
+    });
     return new Context(args);
   }
 
@@ -960,6 +1528,11 @@ KCL.Director = KCL.Director || {};
     return this._args[this._index+1];
   }
 
+  // the word count words ahead
+  Context.prototype.peek = function(count) {
+    return this._args[this._index+count];
+  }
+
   Context.prototype.advance = function() {
     if (!this._retry)
       return this._args[++this._index];
@@ -992,9 +1565,10 @@ KCL.Director = KCL.Director || {};
       if (this._state != Speech.END && this._state != Speech.END_ASYNC) {
         Array.prototype.splice.apply(this._args, [this._index+1, 0].concat(this._deferred));
       } else {
-        this.addUnknown(this._deferred);
+        this.addUnknown(this._deferred, this._deferredIndexes);
       }
       this._deferred = [];
+      this._deferredIndexes = [];
     }
   }
 
@@ -1019,7 +1593,15 @@ KCL.Director = KCL.Director || {};
   }
 
   Context.prototype.addActor = function(actor) {
-    this._actors = this._actors.concat(actor);
+    this._actors = _.union(this._actors, [].concat(actor));
+  }
+
+  Context.prototype.removeActor = function(actor) {
+    this._actors = _.difference(this._actors, [].concat(actor));
+  }
+
+  Context.prototype.clearActors = function() {
+    this._actors = [];
   }
 
   Context.prototype.hasPreviousVerb = function() {
@@ -1049,6 +1631,7 @@ KCL.Director = KCL.Director || {};
 
   Context.prototype.defer = function() {
     // defer the current word until the next context switch
+    this._deferredIndexes.push(this._index);
     var deferred = _.pullAt(this._args, this._index);
     this._deferred = this._deferred.concat(deferred);
     this.retry(); // forego the next advance to stay with the new non-deferred word
@@ -1063,11 +1646,37 @@ KCL.Director = KCL.Director || {};
     this._deferred = false;
   }
 
-  Context.prototype.addUnknown = function(wordOrWords) {
+  Context.prototype.addUnknown = function(wordOrWords, indexes) {
     this._unknown = this._unknown.concat(wordOrWords);
+    this._unknownIndexes = this._unknownIndexes.concat(_.isUndefined(indexes) ? this._index : indexes);
     return this;
   }
 
+  // words which were deferred and never found a home are unknown.
+  Context.prototype.flushDeferred = function() {
+    if (_.any(this._deferred)) {
+      this.addUnknown(this._deferred, this._deferredIndexes);
+      this._deferred = [];
+      this._deferredIndexes = [];
+    }
+  }
+
+  Context.prototype.getUnknown = function() {
+    return _.zip(this._unknown, this._unknownIndexes);
+  }
+
+  Context.prototype.addDiagnostic = function(diagnostic) {
+    this._diagnostics.push(diagnostic);
+  }
+
+  Context.prototype.getDiagnostics = function() {
+    return this._diagnostics;
+  }
+
+  Context.prototype.hasErrors = function() {
+    return _.any(this._diagnostics, function(d) { return d.isError(); });
+  }
+
   Context.prototype.isRequestingAsync = function() {
     return this._requestAsync;
   }
@@ -1084,30 +1693,110 @@ KCL.Director = KCL.Director || {};
     this._args[this._index] = value;
   }
 
+  // replace the current word with several
+  Context.prototype.expand = function(words) {
+    Array.prototype.splice.apply(this._args, [this._index, 1].concat(words));
+  }
+
+  // make the current word and the next count words into one
+  Context.prototype.join = function(count) {
+    this._args.splice(this._index, count+1, this._args.slice(this._index, this._index+count+1).join(' '));
+  }
+
   function Director() {
   }
 
   Director.prototype.initialize = function() {
     this._specialTargets = {};
+    this._indexedTargets = {};
     this._verbs = {};
     this._prepositions = {};
     this._debug = true;
+    this._strict = false;
+    this._listeners = {};
+  }
+
+  // Listen for one of the Events. Listeners are called with the director as
+  // this and whatever the event passes along:
+  //   directionInit(direction), actionDone(direction, actor),
+  //   directionDone(direction), sceneIdle(), parseError(diagnostic, context)
+  Director.prototype.on = function(event, listener) {
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return this;
+  }
+
+  // Stop listening; without a listener every listener for the event is removed.
+  Director.prototype.off = function(event, listener) {
+    if (_.isUndefined(listener))
+      delete this._listeners[event];
+    else
+      _.pull(this._listeners[event] || [], listener);
+    return this;
+  }
+
+  Director.prototype.emit = function(event) {
+    var args = _.rest(arguments);
+    _.each((this._listeners[event] || []).slice(), function(listener) {
+      listener.apply(this, args);
+    }, this);
   }
 
   Director.prototype.getActor = function(target) {
   }
 
   Director.prototype.isSpecialTarget = function(target) {
-    return this._specialTargets.hasOwnProperty(target);
+    return this._specialTargets.hasOwnProperty(this.indexedTarget(target).name);
   }
 
+  // Special targets are called with their name and, for indexed ones, the
+  // number after it (if any).
   Director.prototype.getSpecialTarget = function(target) {
-    return this._specialTargets[target].call(this, target);
+    var indexed = this.indexedTarget(target);
+    return this._specialTargets[indexed.name].call(this, indexed.name, indexed.index);
+  }
+
+  // Splits e.g. FOLLOWER 2 into its name and index.
+  Director.prototype.indexedTarget = function(target) {
+    var matches = String(target).match(/^(\S+) (\d+)$/);
+    if (matches && this.isIndexedTarget(matches[1]))
+      return { name: matches[1], index: parseInt(matches[2], 10) };
+    return { name: target, index: undefined };
+  }
+
+  Director.prototype.isIndexedTarget = function(name) {
+    return !!this._indexedTargets[name];
+  }
+
+  // Indexed special targets take the number after them as part of their
+  // name, e.g. FOLLOWER 2, unless it's the amount of a unit (FOLLOWER 2 STEPS).
+  Director.prototype.joinIndexedTarget = function(context) {
+    if (this.isIndexedTarget(context.current()) && /^\d+$/.test(context.next() || '') &&
+      !_.contains(PrepositionalUnits, context.peek(2)))
+      context.join(1);
+  }
+
+  Director.prototype.joinCompoundWord = function(context) {
+    var compound = context.hasNext() && CompoundWords[context.current() + ' ' + context.next()];
+    if (compound) {
+      context.join(1);
+      context.mutate(compound);
+    }
   }
 
   Director.prototype.getTarget = function(Target) {
   }
 
+  // Why a word isn't a target, if it's recognisably a malformed one.
+  Director.prototype.targetError = function(word) {
+  }
+
+  // game switch and variable values, for conditions
+  Director.prototype.getSwitch = function(id) {
+  }
+
+  Director.prototype.getVariable = function(id) {
+  }
+
   Director.prototype.getVerb = function(verb) {
     var registeredVerb = this._verbs[verb];
     if (typeof(registeredVerb) !== 'undefined') {
@@ -1133,10 +1822,53 @@ KCL.Director = KCL.Director || {};
       ContextSwitches.default[preposition.getName()] = Speech.PREPOSITION;
   }
 
-  Director.prototype.defineSpecialTarget = function(name, func) {
+  Director.prototype.defineSpecialTarget = function(name, func, indexed) {
     this._specialTargets[name.toUpperCase()] = func;
+    if (indexed) this._indexedTargets[name.toUpperCase()] = true;
+  }
+
+  Director.prototype.removeSpecialTarget = function(name) {
+    delete this._specialTargets[name.toUpperCase()];
+    delete this._indexedTargets[name.toUpperCase()];
+  }
+
+  // In strict mode the first error diagnosed throws a ParseError instead of
+  // the offending word being dropped.
+  Director.prototype.isStrict = function() {
+    return this._strict;
+  }
+
+  Director.prototype.setStrict = function(strict) {
+    this._strict = strict;
+  }
+
+  // Record a diagnostic against the context. The token and index default to
+  // the word currently being parsed.
+  Director.prototype.diagnose = function(context, severity, message, token, index) {
+    var diagnostic = new Diagnostic(
+      severity,
+      message,
+      _.isUndefined(token) ? context.current() : token,
+      _.isUndefined(index) ? context._index : index,
+      context.getState());
+
+    context.addDiagnostic(diagnostic);
+
+    var heard = diagnostic.isError() && !_.isEmpty(this._listeners[Events.ParseError]);
+    if (diagnostic.isError())
+      this.emit(Events.ParseError, diagnostic, context);
+
+    if (this.isStrict() && diagnostic.isError())
+      throw new ParseError(diagnostic);
+
+    // a parseError listener reports errors itself
+    if (!heard)
+      console.warn(diagnostic.toString());
+    return diagnostic;
   }
 
+  // Parses a context into a direction. Anything which couldn't be parsed is
+  // available from direction.getDiagnostics().
   Director.prototype.parse = function(context) {
     var direction = new Direction(context);
 
@@ -1145,27 +1877,64 @@ KCL.Director = KCL.Director || {};
       context.setRequestingAsync(false);
     }
 
-    if (context.isChained() && _.any(context.getActors()) && !this.getActor(context.current())) {
+    if (context.isChained() && _.any(context.getActors()) && !this.isActorWord(context.current())) {
       direction.setActors(context.getActors());
     }
 
     while (context.getState() != Speech.END && context.hasMore()) {
+      this.joinIndexedTarget(context);
+      this.joinCompoundWord(context);
       if (!this.isFiller(context)) {
-        this.contextSwitch(context);
+        var switched = this.contextSwitch(context);
         var unknown = false;
 
         switch (context.getState()) {
           case Speech.ACTOR: {
-            var actor = this.getActor(context.current());
-
-            if (actor) {
-              context.addActor(actor);
-              direction.addActor(actor);
+            // context.data remembers a pending quantifier, NAMED or EXCEPT
+            var word = context.current();
+            var more = true;
+
+            if (_.contains(Quantifiers, word)) {
+              context.data = ALL;
+            } else if (word === NAMED && context.data === ALL) {
+              context.data = NAMED;
+            } else if (word === EXCEPT) {
+              if (context.data === ALL)
+                this.addActors(context, direction, this.getEveryone());
+              context.data = EXCEPT;
+            } else if (context.data === NAMED) {
+              var named = this.getActorsNamed(word);
+              if (!_.any(named))
+                this.diagnose(context, Severity.Warning, 'nobody is named');
+              this.addActors(context, direction, named);
+              context.data = null;
+              more = false;
+            } else {
+              var actor = this.getActor(word);
+
+              if (actor) {
+                if (context.data === EXCEPT) {
+                  context.removeActor(actor);
+                  direction.removeActor(actor);
+                } else {
+                  this.addActors(context, direction, actor);
+                  context.data = null;
+                }
+              } else if (context.data === ALL) {
+                // a quantifier on its own; this word is the verb
+                this.addActors(context, direction, this.getEveryone());
+                context.setState(Speech.VERB);
+                context.retry();
+                break;
+              } else {
+                this.diagnose(context, Severity.Error, 'unknown actor');
+              }
+              more = false;
             }
 
-            if (context.hasNext() && context.next() == AND)
+            if (!more && context.hasNext() && context.next() == AND)
               context.advance(); // skip the "and", stay in current state.
-            else
+            else if (!more && context.next() !== EXCEPT)
               context.setState(Speech.VERB); // Looking for a verb next
 
             break;
@@ -1177,9 +1946,17 @@ KCL.Director = KCL.Director || {};
             }
 
             var verb = this.getVerb(context.current());
-            if (verb) {
+            if (verb && verb.isMacro()) {
+              // parse the macro's body in its place, with the same actors
+              context.expand(verb.getMacro());
+              context.retry();
+              break;
+            } else if (verb) {
               direction.setVerb(verb);
-            } else if (context.isChained && this.getActor(context.current())) {
+            } else if (context.isChained() && this.isActorWord(context.current())) {
+              // someone new, rather than those carried over from before
+              context.clearActors();
+              direction.clearActors();
               context.setState(Speech.ACTOR);
               context.retry();
             } else if (context.hasPreviousVerb()) {
@@ -1187,6 +1964,7 @@ KCL.Director = KCL.Director || {};
               direction.setVerb(verb);
               context.retry();
             } else {
+              this.diagnose(context, Severity.Error, 'unknown verb');
               context.setState(Speech.DEFAULT);
             }
 
@@ -1208,17 +1986,21 @@ KCL.Director = KCL.Director || {};
             break;
           }
           case Speech.DEFAULT: {
-            if (!direction.hasTarget() && this.getTarget(context.current())) {
+            if (direction.hasVerb() && direction.getVerb().acceptsToken(context.current())) {
+              direction.addToken(unquote(context.current()));
+            } else if (!direction.hasTarget() && this.getTarget(context.current())) {
               // retry the current context as a TARGET context.
               context.setState(Speech.TARGET);
               context.retry();
+            } else if (direction.hasVerb() && direction.getVerb().isAllowedAdverb(context.current())) {
+              // adverbs can come last too, e.g. PAN TO THRONE SLOWLY
+              direction.addAdverb(context.current());
             } else {
               if (context.isDeferred()) {
                 // even after changing state the deferred word could not
                 // be contextualized. 
                 unknown = true;
-                context.addUnknown(context.current());
-                console.warn('director :: default state processed unknown content', context.current());
+                this.diagnose(context, Severity.Error, 'unknown word');
               } else {
                 context.defer();
               }
@@ -1226,15 +2008,31 @@ KCL.Director = KCL.Director || {};
             break;
           }
           case Speech.PREPOSITION: {
-            if (context.data) {
+            if (context.data && !context.data.getPreposition()) {
+              // an amount came first, e.g. 2 SPACES SOUTH OF PRIEST
+              var phrase = context.data;
+              var preposition = this.getPreposition(context.current());
+              if (!phrase.hasUnit() && _.contains(PrepositionalUnits, context.current())) {
+                phrase.setUnit(context.current());
+              } else if (preposition) {
+                phrase.setPreposition(preposition);
+                direction.addPreposition(phrase);
+              } else {
+                this.diagnose(context, Severity.Error, 'unknown preposition');
+              }
+            } else if (context.data) {
               var phrase = context.data;
               if (phrase.getPreposition().canAcquireTarget() && this.getTarget(context.current())) {
                 phrase.addTarget(this.getTarget(context.current()));
-              } else if (!phrase.hasAmount()) {
+              } else if (!phrase.hasAmount() && _.isFinite(parseInt(context.current(), 10))) {
                 // the second part of a preposition should be the amount
                 phrase.setAmount(context.current());
-              } else if (!phrase.hasUnit()) {
+              } else if (!phrase.hasUnit() && _.contains(PrepositionalUnits, context.current())) {
                 phrase.setUnit(context.current());
+              } else if (direction.hasVerb() && direction.getVerb().isAllowedAdverb(context.current())) {
+                direction.addAdverb(context.current());
+              } else {
+                this.diagnose(context, Severity.Error, 'unknown word in prepositional phrase');
               }
             } else {
               var preposition = this.getPreposition(context.current());
@@ -1244,7 +2042,7 @@ KCL.Director = KCL.Director || {};
                 direction.addPreposition(phrase);
               }
               else {
-                console.warn('director :: unknown prepositional', context.current());
+                this.diagnose(context, Severity.Error, 'unknown preposition');
               }
             }
             break;
@@ -1258,20 +2056,47 @@ KCL.Director = KCL.Director || {};
 
               if (!duration.hasDuration()) {
                 duration.setDuration(context.current());
+                if (!duration.hasDuration()) {
+                  if (!direction.hasTarget() && this.getTarget(context.current())) {
+                    // not a duration after all, e.g. WAIT FOR PLAYER
+                    context.setState(Speech.TARGET);
+                    context.retry();
+                  } else {
+                    this.diagnose(context, Severity.Error, 'unknown duration');
+                  }
+                }
               } else if (!duration.hasUnit()) {
                 duration.setUnit(context.current());
+                if (!duration.hasUnit())
+                  this.diagnose(context, Severity.Error, 'unknown duration unit');
               }
 
-              if (duration.hasDuration() && duration.hasUnit())
+              if (duration.isComplete()) {
                 direction.setDuration(duration);
+                context.setState(Speech.DEFAULT);
+              }
             }
             break;
           }
           case Speech.TARGET: {
+            // the word which switched us here isn't a target itself
+            if (switched) break;
+
+            if (this.isPrepositionalAmount(context)) {
+              // not a target but a place relative to one
+              var phrase = new PrepositionalPhrase();
+              phrase.setAmount(context.current());
+              context.setState(Speech.PREPOSITION);
+              context.data = phrase;
+              break;
+            }
+
             var target = this.getTarget(context.current());
 
             if (target) {
               direction.addTarget(target);
+            } else {
+              this.diagnose(context, Severity.Error, this.targetError(context.current()) || 'unknown target');
             }
 
             if (context.hasNext() && context.next() == AND) {
@@ -1292,6 +2117,8 @@ KCL.Director = KCL.Director || {};
 
               if (target) {
                 direction.addWith(target);
+              } else {
+                this.diagnose(context, Severity.Error, 'unknown actor');
               }
 
               if (context.hasNext() && context.next() == AND) {
@@ -1312,15 +2139,38 @@ KCL.Director = KCL.Director || {};
             } else {
               var condition = context.data;
 
-              if (!condition.hasTarget()) {
-                condition.setTarget(this.getTarget(context.current()));
-              } else if (!condition._comparator) {
-                condition.setComparator(context.current())
-              } else if (!condition._value) {
-                condition.setValue(context.current());
+              this.parseCondition(context, condition);
+
+              if (this.isConditionDone(context, condition)) 
+                context.setState(Speech.DEFAULT);
+            }
+            break;
+          }
+          case Speech.DELAY: {
+            if (!context.data) {
+              context.data = new Delay();
+              direction.setDelay(context.data);
+            } else {
+              var delay = context.data;
+
+              if (delay.hasDuration()) {
+                delay.getDuration().setUnit(context.current());
+                if (!delay.getDuration().hasUnit())
+                  this.diagnose(context, Severity.Error, 'unknown delay unit');
+              } else if (delay.hasCondition()) {
+                this.parseCondition(context, delay.getCondition());
+              } else if (_.isFinite(parseInt(context.current(), 10))) {
+                // AFTER <n> <unit>
+                var duration = new Duration();
+                duration.setDuration(context.current());
+                delay.setDuration(duration);
+              } else {
+                // AFTER <condition>
+                delay.setCondition(new Condition());
+                this.parseCondition(context, delay.getCondition());
               }
 
-              if (condition.isValid()) 
+              if (delay.isComplete() && (!delay.hasCondition() || this.isConditionDone(context, delay.getCondition())))
                 context.setState(Speech.DEFAULT);
             }
             break;
@@ -1332,11 +2182,16 @@ KCL.Director = KCL.Director || {};
               var repeat = context.data;
               if (!repeat.hasAmount()) {
                 repeat.setAmount(context.current());
+                if (!repeat.hasAmount())
+                  this.diagnose(context, Severity.Error, 'unknown repeat amount');
               } else {
                 repeat.setUnit(context.current());
+                if (!repeat.hasUnit())
+                  this.diagnose(context, Severity.Error, 'unknown repeat unit');
               }
 
-              if (repeat.hasAmount() && repeat.hasUnit()) {
+              if (repeat.isComplete()) {
+                direction.setRepeat(repeat);
                 context.setState(Speech.DEFAULT);
               }
             }
@@ -1350,6 +2205,23 @@ KCL.Director = KCL.Director || {};
             }
             break;
           }
+          case Speech.PRIORITY: {
+            direction.setInterrupt(context.current() === NOW);
+            context.setState(Speech.DEFAULT);
+            break;
+          }
+          case Speech.VERBATIM: {
+            // everything after the switch is kept word for word, context
+            // switches included. The switch itself may be an adverb.
+            if (!context.data) {
+              context.data = true;
+              if (direction.hasVerb() && direction.getVerb().isAllowedAdverb(context.current()))
+                direction.addAdverb(context.current());
+            } else {
+              direction.addToken(context.current());
+            }
+            break;
+          }
           case Speech.END: {
             break;
           }
@@ -1368,10 +2240,94 @@ KCL.Director = KCL.Director || {};
       context.advance();
     }
 
+    context.flushDeferred();
+    _.each(context.getUnknown(), function(unknown) {
+      this.diagnose(context, Severity.Error, 'unknown word', unknown[0], unknown[1]);
+    }, this);
+
+    var problem = direction.hasVerb() && direction.getVerb().validate(this, direction);
+    if (problem)
+      this.diagnose(context, Severity.Error, problem, direction.getVerb().getVerb(), 0);
+
     return direction;
 
   }
 
+  // Whether a word starts off who a direction is for.
+  Director.prototype.isActorWord = function(word) {
+    return _.contains(Quantifiers, word) || !!this.getActor(word);
+  }
+
+  Director.prototype.addActors = function(context, direction, actors) {
+    context.addActor(actors);
+    direction.addActor(actors);
+  }
+
+  // Every actor there is, for ALL / EVERYONE.
+  Director.prototype.getEveryone = function() {
+    return [];
+  }
+
+  // Actors whose name matches a pattern where * is a wildcard.
+  Director.prototype.getActorsNamed = function(pattern) {
+    return [];
+  }
+
+  // Whether the current word is the amount leading a prepositional phrase,
+  // e.g. the 2 in 2 SPACES SOUTH OF PRIEST.
+  Director.prototype.isPrepositionalAmount = function(context) {
+    return _.isFinite(parseInt(context.current(), 10)) && context.hasNext() &&
+      (_.contains(PrepositionalUnits, context.next()) || !!this.getPreposition(context.next()));
+  }
+
+  // Feeds the current word into a chain of conditions (see Condition).
+  Director.prototype.parseCondition = function(context, condition) {
+    var word = context.current();
+    condition = condition.last();
+    condition.setDirector(this);
+
+    if (condition.isComplete()) {
+      if (word === AND || word === OR) {
+        condition.next(word, new Condition());
+      } else {
+        this.diagnose(context, Severity.Error, 'unknown word in condition');
+      }
+    } else if (!condition.hasSubject()) {
+      if (word === ConditionSubjects.Switch || word === ConditionSubjects.Variable) {
+        condition.setSubject(word);
+      } else {
+        var target = this.getTarget(word);
+        condition.setTarget(_.isArray(target) ? undefined : target);
+        if (!condition.hasTarget())
+          this.diagnose(context, Severity.Error, 'unknown condition target');
+      }
+    } else if (condition.getSubject() !== ConditionSubjects.Target && !condition.hasId()) {
+      condition.setId(word);
+      if (!condition.hasId())
+        this.diagnose(context, Severity.Error, 'unknown ' + condition.getSubject().toLowerCase() + ' id');
+    } else if (!condition.hasComparator()) {
+      condition.setComparator(word);
+      if (!condition.hasComparator())
+        this.diagnose(context, Severity.Error, 'unknown condition comparator');
+    } else if (condition.getComparator() === ConditionComparator.IS && word === ConditionComparator.NEAR) {
+      // IS NEAR <target>
+      condition.setComparator(word);
+    } else {
+      var near = condition.getComparator() === ConditionComparator.NEAR ||
+                 condition.getComparator() === ConditionComparator.REACHES;
+      var value = near ? this.getTarget(word) : word;
+      condition.setValue(_.isArray(value) ? undefined : value);
+      if (!condition.hasValue())
+        this.diagnose(context, Severity.Error, 'unknown condition value');
+    }
+  }
+
+  // A condition is finished once it's valid and isn't about to be joined
+  // to another with AND / OR.
+  Director.prototype.isConditionDone = function(context, condition) {
+    return condition.isValid() && context.next() !== AND && context.next() !== OR;
+  }
+
   Director.prototype.contextSwitch = function(context) {
     var currentState = _.contains(DefaultStates, context.getState())
       ? Speech.DEFAULT
@@ -1387,8 +2343,10 @@ KCL.Director = KCL.Director || {};
       var sw = state[context.current()];
       if (sw) {
         context.setState(sw);
+        return true;
       }
     }
+    return false;
   }
 
   Director.prototype.isFiller = function(context) {
@@ -0,0 +1,801 @@
+//=============================================================================
+// Director - Headless Stage
+// Last Updated: 2026.10.19
+//=============================================================================
+
+var KCL = KCL || {};
+KCL.Director = KCL.Director || {};
+
+/*:
+ * @plugindesc Run Director scripts without the MV runtime
+ *
+ * @help
+ *
+ * This is not a plugin you enable in your game. It's a stand-in "stage" for
+ * the Director so cutscene scripts can be run and checked outside of RPG
+ * Maker, e.g. from a plain Node script or a test runner.
+ *
+ * The GridStage is a tiny in-memory map: a grid of passable/impassable tiles
+ * with a player and some named events on it. Characters move the way MV
+ * characters do (one tile at a time at their move speed) so the Director
+ * sees the same frame-by-frame behavior it would in game.
+ *
+ * The Simulator runs one or more Director commands against a stage and
+ * records a trace of every frame.
+ *
+ * Loading under Node:
+ *
+ *   var vm = require('vm'), fs = require('fs');
+ *   ['MVLodash.js', 'KCL_Director.js', 'KCL_Director_Scene.js',
+ *    'KCL_Director_Headless.js'].forEach(function(file) {
+ *     vm.runInThisContext(fs.readFileSync(file, 'utf8'), file);
+ *   });
+ *
+ * test/director.js does just that to put each verb through its paces; run
+ * it with node test/director.js.
+ *
+ * Usage:
+ *
+ *   var stage = new KCL.Director.GridStage({
+ *     map: [
+ *       '..........',
+ *       '..####....',
+ *       '..........'
+ *     ],
+ *     player: { x: 0, y: 0 },
+ *     followers: [ { x: 0, y: 1 } ],
+ *     events: [ { id: 1, name: 'GUARD', x: 9, y: 2,
+ *       speaker: { name: 'Captain Rowe', faceName: 'People1', faceIndex: 3 } } ],
+ *     vehicles: [ { type: 'BOAT', x: 4, y: 0 } ],
+ *     animations: [ { id: 42, name: 'Heal One', frames: 15 } ],
+ *     regions: { 7: [ [8, 0], [9, 0] ] },
+ *     terrainTags: { 3: [ [2, 2] ] },
+ *     screen: { x: 0, y: 0, width: 10, height: 3 },
+ *     switches: { 12: false },
+ *     variables: { 4: 0 },
+ *     note: '<mark:STAGE_LEFT 1 2>'
+ *   });
+ *   var trace = new KCL.Director.Simulator(stage).run([
+ *     'DIRECT PLAYER TO MOVE TO GUARD'
+ *   ]);
+ *
+ * Each frame of the trace lists every actor the Director knows about with
+ * its position, facing, move speed, the verb it's currently performing and
+ * the status of both the direction and the actor's action state.
+ *
+ * Followers don't chase the player around (the Director detaches any it
+ * directs anyway) but they do gather back to the player when asked. Like
+ * MV's followers they walk through everyone and no one bumps into them.
+ *
+ * Messages shown with SAY are logged in messages() and close by themselves
+ * after messageFrames frames, as if the player had read them. Screen effects
+ * are logged in effects() and last as many frames as they're asked to.
+ *
+ * Vehicles are boarded and left the way they are in MV: boats and ships from
+ * the tile beside them and only onto land, airships from the tile they're on.
+ * Boats and ships sail on water, airships fly anywhere on the map.
+ *
+ * Map legend:
+ *   .  passable tile
+ *   #  impassable tile
+ *   ~  water, passable only by boats and ships
+ */
+
+(function() {
+
+	KCL.Director.GridStage = GridStage;
+	KCL.Director.GridCharacter = GridCharacter;
+	KCL.Director.Simulator = Simulator;
+
+	// Sprite_Balloon's 8 frames at a speed of 8, then a wait of 12
+	var BalloonFrames = 8 * 8 + 12;
+
+	// An in-memory map implementing the same stage interface as MVStage.
+	function GridStage(config) {
+		config = _.defaults({}, config, {
+			map: ['.'],
+			player: {},
+			followers: [],
+			events: [],
+			vehicles: [],
+			regions: {},
+			terrainTags: {},
+			screen: {},
+			switches: {},
+			variables: {},
+			note: '',
+			animations: [],
+			messageFrames: 60
+		});
+
+		this._map = config.map;
+		this._width = _.max(_.map(this._map, function(row) { return row.length; }));
+		this._height = this._map.length;
+		// the part of the map on screen, all of it unless said otherwise
+		this._screen = _.defaults({}, config.screen, { x: 0, y: 0, width: this._width, height: this._height });
+		this._waitCount = 0;
+		this._switches = _.clone(config.switches);
+		this._variables = _.clone(config.variables);
+		this._note = config.note;
+		this._gathering = false;
+		this._regions = tileLookup(config.regions);
+		this._terrainTags = tileLookup(config.terrainTags);
+		this._driving = null;
+		this._boarding = false;
+		this._messages = [];
+		this._messageFrames = config.messageFrames;
+		this._messageCount = 0;
+		this._animations = config.animations;
+		this._effects = [];
+		this._effectCounts = {};
+
+		this._player = new GridCharacter(this, _.defaults({}, config.player, { name: 'PLAYER' }));
+		this._followers = _.map(config.followers, function(f, idx) {
+			return new GridCharacter(this, _.defaults({ memberIndex: idx+1, through: true }, f));
+		}, this);
+		this._vehicles = _.map(config.vehicles, function(v) {
+			var type = v.type.toUpperCase();
+			return new GridCharacter(this, _.defaults({ name: type, vehicleType: type }, v));
+		}, this);
+		this._events = [];
+		_.each(config.events, function(e, idx) {
+			var id = e.id || idx+1;
+			this._events[id] = new GridCharacter(this, _.defaults({ eventId: id }, e));
+		}, this);
+	}
+
+	// { id: [[x, y], ...] } to { 'x,y': id }
+	function tileLookup(tilesById) {
+		var lookup = {};
+		_.each(tilesById, function(tiles, id) {
+			_.each(tiles, function(tile) { lookup[tile[0] + ',' + tile[1]] = parseInt(id, 10); });
+		});
+		return lookup;
+	}
+
+	GridStage.prototype.width = function() {
+		return this._width;
+	}
+
+	GridStage.prototype.height = function() {
+		return this._height;
+	}
+
+	GridStage.prototype.player = function() {
+		return this._player;
+	}
+
+	GridStage.prototype.event = function(eventId) {
+		return this._events[eventId];
+	}
+
+	GridStage.prototype.events = function() {
+		return _.compact(this._events);
+	}
+
+	GridStage.prototype.eventName = function(gameCharacter) {
+		return gameCharacter.name();
+	}
+
+	GridStage.prototype.isPlayer = function(gameCharacter) {
+		return gameCharacter === this._player;
+	}
+
+	GridStage.prototype.followers = function() {
+		return this._followers;
+	}
+
+	GridStage.prototype.followerIndex = function(gameCharacter) {
+		return gameCharacter._memberIndex || 0;
+	}
+
+	// Walk every follower back to the player.
+	GridStage.prototype.gatherFollowers = function() {
+		this._gathering = true;
+	}
+
+	GridStage.prototype.areGathering = function() {
+		return this._gathering;
+	}
+
+	GridStage.prototype.vehicle = function(type) {
+		return _.find(this._vehicles, function(v) { return v._vehicleType === type; });
+	}
+
+	GridStage.prototype.vehicleType = function(gameCharacter) {
+		return gameCharacter._vehicleType;
+	}
+
+	GridStage.prototype.driver = function(vehicle) {
+		return this._driving && this._driving === vehicle ? this._player : undefined;
+	}
+
+	// The player's vehicle, if they're in one.
+	GridStage.prototype.driving = function() {
+		return this._driving;
+	}
+
+	GridStage.prototype.getOnVehicle = function(gameCharacter) {
+		if (!this.isPlayer(gameCharacter) || this._driving) return false;
+
+		var player = this._player;
+		var d = player.direction();
+		var x2 = player.roundXWithDirection(player.x, d);
+		var y2 = player.roundYWithDirection(player.y, d);
+		var vehicle = _.find(this._vehicles, function(v) {
+			return v._vehicleType === 'AIRSHIP'
+				? v.x === player.x && v.y === player.y
+				: v.x === x2 && v.y === y2;
+		});
+		if (!vehicle) return false;
+
+		// step aboard
+		player.x = vehicle.x;
+		player.y = vehicle.y;
+		this._driving = vehicle;
+		this._boarding = true;
+		return true;
+	}
+
+	GridStage.prototype.getOffVehicle = function(gameCharacter) {
+		if (!this.isPlayer(gameCharacter) || !this._driving) return false;
+
+		var player = this._player;
+		var vehicle = this._driving;
+		if (vehicle._vehicleType === 'AIRSHIP') {
+			var landOk = this.isPassable(player.x, player.y) && !_.any(this.events(), function(e) {
+				return e.x === player.x && e.y === player.y;
+			});
+			if (!landOk) return false;
+			player.setDirection(2);
+		} else {
+			var d = player.direction();
+			var x2 = player.roundXWithDirection(player.x, d);
+			var y2 = player.roundYWithDirection(player.y, d);
+			if (!this.isPassable(x2, y2) || this.isOccupied(x2, y2, player)) return false;
+			player.x = x2;
+			player.y = y2;
+		}
+
+		this._driving = null;
+		this._boarding = true;
+		return true;
+	}
+
+	GridStage.prototype.isBoarding = function(gameCharacter) {
+		return this.isPlayer(gameCharacter) && this._boarding;
+	}
+
+	// A character's speaker config, or just their name.
+	GridStage.prototype.speaker = function(gameCharacter) {
+		return _.defaults({}, gameCharacter._speaker, { name: gameCharacter.name(), faceName: '', faceIndex: 0 });
+	}
+
+	GridStage.prototype.showMessage = function(speaker, lines) {
+		if (this.isMessageBusy()) return false;
+		this._messages.push({ speaker: speaker, lines: lines });
+		this._messageCount = this._messageFrames;
+		return true;
+	}
+
+	GridStage.prototype.isMessageBusy = function() {
+		return this._messageCount > 0;
+	}
+
+	// every message shown so far
+	GridStage.prototype.messages = function() {
+		return this._messages;
+	}
+
+	GridStage.prototype.animationId = function(idOrName) {
+		var animation = _.find(this._animations, function(a) {
+			return String(a.id) === String(idOrName) || a.name.toUpperCase() === String(idOrName).toUpperCase();
+		});
+		return animation ? animation.id : 0;
+	}
+
+	// Sprite_Animation shows each frame for 4 frames, plus one to finish
+	GridStage.prototype.animationDuration = function(animationId) {
+		var animation = _.find(this._animations, function(a) { return a.id === animationId; });
+		return animation ? animation.frames * 4 + 1 : 0;
+	}
+
+	GridStage.prototype.fadeOut = function(frames) {
+		this.startScreenEffect('FADE', frames, { out: true });
+	}
+
+	GridStage.prototype.fadeIn = function(frames) {
+		this.startScreenEffect('FADE', frames, { out: false });
+	}
+
+	GridStage.prototype.tint = function(tone, frames) {
+		this.startScreenEffect('TINT', frames, { tone: tone });
+	}
+
+	GridStage.prototype.flash = function(color, frames) {
+		this.startScreenEffect('FLASH', frames, { color: color });
+	}
+
+	GridStage.prototype.shake = function(power, speed, frames) {
+		this.startScreenEffect('SHAKE', frames, { power: power, speed: speed });
+	}
+
+	GridStage.prototype.startScreenEffect = function(effect, frames, options) {
+		this._effects.push(_.extend({ effect: effect, frames: frames }, options));
+		this._effectCounts[effect] = frames;
+	}
+
+	GridStage.prototype.isScreenEffectPlaying = function(effect) {
+		return this._effectCounts[effect] > 0;
+	}
+
+	// every screen effect started so far
+	GridStage.prototype.effects = function() {
+		return this._effects;
+	}
+
+	GridStage.prototype.characters = function() {
+		return [this._player].concat(this._followers, this.events(), this._vehicles);
+	}
+
+	// the map's note, e.g. for <mark:...> tags
+	GridStage.prototype.note = function() {
+		return this._note;
+	}
+
+	GridStage.prototype.switchValue = function(id) {
+		return !!this._switches[id];
+	}
+
+	GridStage.prototype.setSwitch = function(id, value) {
+		this._switches[id] = value;
+	}
+
+	GridStage.prototype.variableValue = function(id) {
+		return this._variables[id] || 0;
+	}
+
+	GridStage.prototype.setVariable = function(id, value) {
+		this._variables[id] = value;
+	}
+
+	GridStage.prototype.displayX = function() {
+		return this._screen.x;
+	}
+
+	GridStage.prototype.displayY = function() {
+		return this._screen.y;
+	}
+
+	GridStage.prototype.screenTileX = function() {
+		return this._screen.width;
+	}
+
+	GridStage.prototype.screenTileY = function() {
+		return this._screen.height;
+	}
+
+	GridStage.prototype.realPosition = function(gameCharacter) {
+		return { x: gameCharacter._realX, y: gameCharacter._realY };
+	}
+
+	// Kept on the map like Game_Map.setDisplayPos
+	GridStage.prototype.setDisplayPos = function(x, y) {
+		this._screen.x = Math.max(0, Math.min(x, this._width - this._screen.width));
+		this._screen.y = Math.max(0, Math.min(y, this._height - this._screen.height));
+	}
+
+	GridStage.prototype.regionId = function(x, y) {
+		return this._regions[x + ',' + y] || 0;
+	}
+
+	GridStage.prototype.terrainTag = function(x, y) {
+		return this._terrainTags[x + ',' + y] || 0;
+	}
+
+	GridStage.prototype.wait = function(frames) {
+		this._waitCount = Math.max(this._waitCount, frames);
+	}
+
+	GridStage.prototype.isWaiting = function() {
+		return this._waitCount > 0;
+	}
+
+	GridStage.prototype.isValid = function(x, y) {
+		return x >= 0 && y >= 0 && x < this._width && y < this._height;
+	}
+
+	GridStage.prototype.tile = function(x, y) {
+		return this._map[y].charAt(x) || '.';
+	}
+
+	GridStage.prototype.isPassable = function(x, y) {
+		return this.isValid(x, y) && this.tile(x, y) === '.';
+	}
+
+	GridStage.prototype.isWater = function(x, y) {
+		return this.isValid(x, y) && this.tile(x, y) === '~';
+	}
+
+	GridStage.prototype.isOccupied = function(x, y, except) {
+		return _.any(this.characters(), function(c) {
+			return c !== except && !c.isThrough() && c.x === x && c.y === y;
+		});
+	}
+
+	// Advance every character by one frame.
+	GridStage.prototype.update = function(director) {
+		if (this._waitCount > 0) this._waitCount--;
+		if (this._messageCount > 0) this._messageCount--;
+		_.each(this._effectCounts, function(count, effect) {
+			if (count > 0) this._effectCounts[effect]--;
+		}, this);
+		if (this._gathering) this.updateGather();
+		_.each(this.characters(), function(c) { c.update(director); });
+		this.updateVehicle();
+	}
+
+	// The vehicle being driven goes wherever the player does.
+	GridStage.prototype.updateVehicle = function() {
+		var player = this._player;
+		if (this._driving) {
+			_.extend(this._driving, { x: player.x, y: player.y, _realX: player._realX, _realY: player._realY });
+			this._driving.setDirection(player.direction());
+		}
+		if (this._boarding && !player.isMoving())
+			this._boarding = false;
+	}
+
+	GridStage.prototype.updateGather = function() {
+		var player = this._player;
+		var gathered = _.every(this._followers, function(f) {
+			if (!f.isMoving() && (f.x !== player.x || f.y !== player.y))
+				f.moveStraight(f.findDirectionTo(player.x, player.y));
+			return f.x === player.x && f.y === player.y;
+		});
+		if (gathered) this._gathering = false;
+	}
+
+	// A stand-in for Game_Character covering the parts the Director uses.
+	function GridCharacter(stage, config) {
+		config = _.defaults({}, config, {
+			name: '',
+			eventId: undefined,
+			memberIndex: undefined,
+			vehicleType: undefined,
+			speaker: undefined,
+			through: false,
+			x: 0,
+			y: 0,
+			direction: 2,
+			moveSpeed: 4,
+			moveFrequency: 6
+		});
+
+		this._stage = stage;
+		this._name = config.name;
+		this._eventId = config.eventId;
+		this._memberIndex = config.memberIndex;
+		this._vehicleType = config.vehicleType;
+		this._speaker = config.speaker;
+		this._through = config.through;
+		this._guid = _.uniqueId();
+		this.x = config.x;
+		this.y = config.y;
+		this._realX = config.x;
+		this._realY = config.y;
+		this._direction = config.direction;
+		this._moveSpeed = config.moveSpeed;
+		this._moveFrequency = config.moveFrequency;
+		this._movementSuccess = true;
+		this._jumpPeak = 0;
+		this._jumpCount = 0;
+		this._balloonId = 0;
+		this._balloonCount = 0;
+		this._animationId = 0;
+		this._animationCount = 0;
+	}
+
+	GridCharacter.prototype.name = function() {
+		return this._name;
+	}
+
+	// airships fly over everyone, as does the player in one
+	GridCharacter.prototype.isThrough = function() {
+		return this._through || this.travelType() === 'AIRSHIP';
+	}
+
+	GridCharacter.prototype.direction = function() {
+		return this._direction;
+	}
+
+	GridCharacter.prototype.setDirection = function(d) {
+		if (d) this._direction = d;
+	}
+
+	GridCharacter.prototype.moveSpeed = function() {
+		return this._moveSpeed;
+	}
+
+	GridCharacter.prototype.setMoveSpeed = function(moveSpeed) {
+		this._moveSpeed = moveSpeed;
+	}
+
+	GridCharacter.prototype.moveFrequency = function() {
+		return this._moveFrequency;
+	}
+
+	GridCharacter.prototype.setMoveFrequency = function(moveFrequency) {
+		this._moveFrequency = moveFrequency;
+	}
+
+	GridCharacter.prototype.isDashing = function() {
+		return false;
+	}
+
+	GridCharacter.prototype.realMoveSpeed = function() {
+		return this._moveSpeed + (this.isDashing() ? 1 : 0);
+	}
+
+	GridCharacter.prototype.distancePerFrame = function() {
+		return Math.pow(2, this.realMoveSpeed()) / 256;
+	}
+
+	GridCharacter.prototype.isMoving = function() {
+		return this._realX !== this.x || this._realY !== this.y;
+	}
+
+	// Same arc timing as Game_CharacterBase.jump; the character lands on
+	// the spot straight away and only its real position catches up.
+	GridCharacter.prototype.jump = function(xPlus, yPlus) {
+		if (Math.abs(xPlus) > Math.abs(yPlus)) {
+			if (xPlus !== 0) this.setDirection(xPlus < 0 ? 4 : 6);
+		} else {
+			if (yPlus !== 0) this.setDirection(yPlus < 0 ? 8 : 2);
+		}
+		this.x += xPlus;
+		this.y += yPlus;
+		var distance = Math.round(Math.sqrt(xPlus * xPlus + yPlus * yPlus));
+		this._jumpPeak = 10 + distance - this._moveSpeed;
+		this._jumpCount = this._jumpPeak * 2;
+	}
+
+	GridCharacter.prototype.isJumping = function() {
+		return this._jumpCount > 0;
+	}
+
+	GridCharacter.prototype.requestBalloon = function(balloonId) {
+		this._balloonId = balloonId;
+	}
+
+	// from the request until Sprite_Balloon would be done with it
+	GridCharacter.prototype.isBalloonPlaying = function() {
+		return this._balloonId > 0 || this._balloonCount > 0;
+	}
+
+	GridCharacter.prototype.requestAnimation = function(animationId) {
+		this._animationId = animationId;
+	}
+
+	GridCharacter.prototype.isAnimationPlaying = function() {
+		return this._animationId > 0 || this._animationCount > 0;
+	}
+
+	GridCharacter.prototype.deltaXFrom = function(x) {
+		return this.x - x;
+	}
+
+	GridCharacter.prototype.deltaYFrom = function(y) {
+		return this.y - y;
+	}
+
+	GridCharacter.prototype.roundXWithDirection = function(x, d) {
+		return x + (d === 6 ? 1 : d === 4 ? -1 : 0);
+	}
+
+	GridCharacter.prototype.roundYWithDirection = function(y, d) {
+		return y + (d === 2 ? 1 : d === 8 ? -1 : 0);
+	}
+
+	GridCharacter.prototype.canPass = function(x, y, d) {
+		var x2 = this.roundXWithDirection(x, d);
+		var y2 = this.roundYWithDirection(y, d);
+		if (this.isThrough()) return this._stage.isValid(x2, y2);
+		return this.isMapPassable(x2, y2) && !this._stage.isOccupied(x2, y2, this);
+	}
+
+	// Whether the tile itself will take this character, whoever's on it.
+	GridCharacter.prototype.isMapPassable = function(x, y) {
+		switch (this.travelType()) {
+			case 'AIRSHIP':
+			return this._stage.isValid(x, y);
+			case 'BOAT':
+			case 'SHIP':
+			return this._stage.isWater(x, y);
+			default:
+			return this._stage.isPassable(x, y);
+		}
+	}
+
+	// The vehicle this character gets about as; the player sails or flies
+	// wherever the vehicle they're in can.
+	GridCharacter.prototype.travelType = function() {
+		var vehicle = this._stage.isPlayer(this) ? this._stage.driving() : this;
+		return vehicle ? vehicle._vehicleType : undefined;
+	}
+
+	GridCharacter.prototype.isMovementSucceeded = function() {
+		return this._movementSuccess;
+	}
+
+	GridCharacter.prototype.moveStraight = function(d) {
+		this._movementSuccess = this.canPass(this.x, this.y, d);
+		this.setDirection(d);
+		if (this._movementSuccess) {
+			this.x = this.roundXWithDirection(this.x, d);
+			this.y = this.roundYWithDirection(this.y, d);
+		}
+	}
+
+	// Breadth-first search over passable tiles. Like MV, other characters
+	// are ignored and an unreachable goal heads for the closest tile found.
+	GridCharacter.prototype.findDirectionTo = function(goalX, goalY) {
+		if (this.x === goalX && this.y === goalY) return 0;
+
+		var start = this.x + ',' + this.y;
+		var visited = {};
+		var queue = [{ x: this.x, y: this.y, first: 0 }];
+		// as in MV, staying put is best until somewhere closer turns up
+		var best = queue[0];
+		var bestDistance = Math.abs(this.x - goalX) + Math.abs(this.y - goalY);
+		visited[start] = true;
+
+		while (queue.length > 0) {
+			var node = queue.shift();
+			var distance = Math.abs(node.x - goalX) + Math.abs(node.y - goalY);
+			if (distance < bestDistance) {
+				best = node;
+				bestDistance = distance;
+			}
+			if (distance === 0) break;
+
+			_.each([2, 4, 6, 8], function(d) {
+				var x2 = this.roundXWithDirection(node.x, d);
+				var y2 = this.roundYWithDirection(node.y, d);
+				var key = x2 + ',' + y2;
+				if (!visited[key] && (this.isMapPassable(x2, y2) || (x2 === goalX && y2 === goalY))) {
+					visited[key] = true;
+					queue.push({ x: x2, y: y2, first: node.first || d });
+				}
+			}, this);
+		}
+
+		if (best.first) return best.first;
+
+		// nowhere closer to get to, so MV just heads straight for the goal
+		var sx = this.deltaXFrom(goalX);
+		var sy = this.deltaYFrom(goalY);
+		if (Math.abs(sx) > Math.abs(sy)) return sx > 0 ? 4 : 6;
+		if (sy !== 0) return sy > 0 ? 8 : 2;
+		return 0;
+	}
+
+	GridCharacter.prototype.update = function(director) {
+		if (!this.isMoving() && !this.isJumping()) this.updateStop(director);
+		if (this.isJumping()) this.updateJump();
+		else if (this.isMoving()) this.updateMove();
+		this.updateBalloon();
+		this.updateAnimation();
+	}
+
+	GridCharacter.prototype.updateAnimation = function() {
+		if (this._animationId > 0) {
+			this._animationCount = this._stage.animationDuration(this._animationId);
+			this._animationId = 0;
+		} else if (this._animationCount > 0) {
+			this._animationCount--;
+		}
+	}
+
+	GridCharacter.prototype.updateBalloon = function() {
+		if (this._balloonId > 0) {
+			this._balloonCount = BalloonFrames;
+			this._balloonId = 0;
+		} else if (this._balloonCount > 0) {
+			this._balloonCount--;
+		}
+	}
+
+	GridCharacter.prototype.updateStop = function(director) {
+		var actor = director && director.scene.getActorForCharacter(this);
+		if (actor)
+			director.actorTick(actor);
+	}
+
+	GridCharacter.prototype.updateMove = function() {
+		var step = this.distancePerFrame();
+		if (this.x < this._realX) this._realX = Math.max(this._realX - step, this.x);
+		if (this.x > this._realX) this._realX = Math.min(this._realX + step, this.x);
+		if (this.y < this._realY) this._realY = Math.max(this._realY - step, this.y);
+		if (this.y > this._realY) this._realY = Math.min(this._realY + step, this.y);
+	}
+
+	GridCharacter.prototype.updateJump = function() {
+		this._jumpCount--;
+		this._realX = (this._realX * this._jumpCount + this.x) / (this._jumpCount + 1.0);
+		this._realY = (this._realY * this._jumpCount + this.y) / (this._jumpCount + 1.0);
+		if (this._jumpCount === 0) {
+			this._realX = this.x;
+			this._realY = this.y;
+		}
+	}
+
+	// Runs Director commands frame by frame against a stage, recording where
+	// every actor is and what it's doing.
+	function Simulator(stage, director) {
+		this.stage = stage;
+		this.director = director || KCL.Director.$;
+		this.director.setStage(stage);
+		this.frame = 0;
+		this.trace = [];
+	}
+
+	Simulator.prototype.run = function(commands, maxFrames) {
+		if (_.isUndefined(maxFrames)) maxFrames = 600;
+
+		this.director.changeScene();
+		this.director.fromString(commands);
+
+		while (this.frame < maxFrames) {
+			this.step();
+			if (this.isIdle()) break;
+		}
+
+		return this.trace;
+	}
+
+	// The MV frame order: the map ticks the Director, then the
+	// characters update.
+	Simulator.prototype.step = function() {
+		this.frame++;
+		this.director.tick();
+		this.stage.update(this.director);
+		this.trace.push(this.snapshot());
+	}
+
+	Simulator.prototype.isIdle = function() {
+		var scene = this.director.scene;
+		return !_.any(scene.directions) && !_.any(scene.commands) && !this.stage.areGathering() &&
+			!_.any(this.stage.characters(), function(c) { return c.isMoving() || c.isJumping(); });
+	}
+
+	Simulator.prototype.snapshot = function() {
+		return {
+			frame: this.frame,
+			waiting: !!this.director.scene.wait,
+			display: { x: this.stage.displayX(), y: this.stage.displayY() },
+			actors: _.map(this.director.scene.getActors(), function(actor) {
+				var character = actor.actor;
+				var current = actor.state.current();
+				var actionState = current && current.state.actionState()[actor.id()];
+				return {
+					name: actor.getName(),
+					id: actor.id(),
+					x: character.x,
+					y: character.y,
+					realX: character._realX,
+					realY: character._realY,
+					direction: character.direction(),
+					speed: character.moveSpeed(),
+					jumping: character.isJumping(),
+					balloon: character.isBalloonPlaying(),
+					animation: character.isAnimationPlaying(),
+					verb: current ? current.getVerb().verb : null,
+					directionStatus: current ? current.getStatus() : null,
+					actionStatus: actionState ? actionState.getStatus() : null
+				};
+			})
+		};
+	}
+
+})();
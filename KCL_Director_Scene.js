@@ -11,6 +11,16 @@ KCL.Director = KCL.Director || {};
  * @plugindesc Direct natural language cutscenes
  * @author DragoonKain
  *
+ * @param Balloons
+ * @desc More balloon names for EMOTE, as NAME:ID separated by commas,
+ * e.g. BLUSH:11, SHOCK:1
+ * @default
+ *
+ * @param Tints
+ * @desc More tints for TINT, as NAME:RED GREEN BLUE GRAY separated by
+ * commas, e.g. DREAM:68 -34 68 0, BLOOD:136 -68 -68 0
+ * @default
+ *
  * @help
  *
  * Game Director is geared towards setting up basic commands that might have
@@ -90,16 +100,226 @@ KCL.Director = KCL.Director || {};
  * Using the script a few lines above, this line would wait on the player and 
  * actor_001 but would not wait on actor_002.
  *
+ * A direction, or a whole chain of them, can be repeated. REPEAT applies to
+ * everything chained together with THEN up to that point:
+ *
+ * DIRECT GUARD TO MOVE LEFT 3 STEPS THEN MOVE RIGHT 3 STEPS REPEAT 4 TIMES
+ *
+ * The guard paces back and forth four times. REPEAT FOREVER keeps going until
+ * the actor is halted (see HALT below).
+ *
+ * Any direction can be limited to a length of time with FOR. The actor stops
+ * what it's doing once the time is up:
+ *
+ * DIRECT PLAYER TO FOLLOW GUARD FOR 5 SECONDS
+ * DIRECT GUARD TO TURN LEFT FOR 30 FRAMES
+ *
+ * Or it can run UNTIL something happens. Conditions can check on actors,
+ * switches and variables and can be combined with AND / OR (AND is checked
+ * before OR):
+ *
+ * DIRECT ACTOR_001 TO FOLLOW PLAYER UNTIL PLAYER IS DONE
+ * DIRECT GUARD TO FACE PLAYER UNTIL SWITCH 12 IS ON
+ * DIRECT GUARD TO FOLLOW PLAYER UNTIL VARIABLE 4 GREATERTHAN 10
+ * DIRECT GUARD TO FOLLOW PLAYER UNTIL PLAYER IS NEAR CHEST OR PLAYER REACHES [4,9]
+ *
+ * A direction can be held back from starting with AFTER, either for a while
+ * or until something else has happened:
+ *
+ * DIRECT ACTOR_001 TO RUN TO DOOR AFTER 2 SECONDS WHILE ACTOR_002 RUN TO DOOR AFTER 4 SECONDS
+ * DIRECT GUARD TO FACE PLAYER AFTER PLAYER IS DONE
+ *
+ * You can teach the Director new verbs of your own. Everything after AS is
+ * taken as the verb's direction, which is used with whoever is told to do it:
+ *
+ * DIRECTOR DEFINE VERB PACE AS MOVE LEFT 2 STEPS THEN MOVE RIGHT 2 STEPS
+ * DIRECT GUARD TO PACE REPEAT FOREVER
+ *
+ * Anything following the new verb (FOR, UNTIL, REPEAT...) applies as if it
+ * had been written at the end of its direction. Defined verbs can use other
+ * defined verbs but not themselves, and can't replace the basic verbs.
+ *
+ * Places can be given relative to a target. BEHIND and IN FRONT OF go by
+ * which way the target is facing:
+ *
+ * DIRECT PLAYER TO MOVE TO 2 SPACES LEFT OF GUARD
+ * DIRECT PLAYER TO MOVE LEFT 3 SPACES FROM GUARD
+ * DIRECT PAGE TO STAND BEHIND KING
+ * DIRECT GUARD TO MOVE IN FRONT OF PLAYER
+ *
+ * Rather than hard coding coordinates, name the places your actors need to
+ * hit. A mark can be anywhere you can describe, and stays put once set:
+ *
+ * DIRECTOR DEFINE MARK NAMED STAGE_LEFT AS [3,12]
+ * DIRECTOR DEFINE MARK NAMED ALTAR AS 2 SPACES SOUTH OF PRIEST
+ * DIRECT PLAYER TO WALK TO ALTAR
+ *
+ * Marks can also be set in a map's note and are loaded with the map:
+ *
+ * <mark:STAGE_LEFT 3 12>
+ *
+ * From a plugin's JavaScript, run() starts directions the same way and hands
+ * back a thenable which resolves once they're all done:
+ *
+ *   KCL.Director.$.run('DIRECT PLAYER TO MOVE TO DOOR').then(function() {
+ *     // the player's at the door
+ *   });
+ *
+ * Call cancel() on it to halt them early; the handle then rejects with a
+ * KCL.Director.CancelError, as it does if the player leaves the map first.
+ * Commands with errors reject with a ParseError, and their diagnostics are
+ * on the handle's diagnostics either way. Only a handle's own then() and
+ * catch() callers see it reject.
+ *
+ * Plugins can follow along as directions play out:
+ *
+ *   KCL.Director.$.on('sceneIdle', function() { ... });
+ *
+ * The events are directionInit(direction), actionDone(direction, actor),
+ * directionDone(direction), sceneIdle() and parseError(diagnostic, context).
+ * Use off(event, listener) to stop listening.
+ *
+ * Directions can also be built without a string at all:
+ *
+ *   KCL.Director.direct('PLAYER').verb('RUN').to(3,12).adverb('QUICKLY')
+ *     .then('FACE').toward('GUARD').commit();
+ *
+ * commit() returns the same kind of handle as run(); then() on the builder
+ * chains directions, so commit() before waiting on them.
+ *
+ * A direction can be for several actors at once. Groups made with DEFINE
+ * GROUP work as actors too:
+ *
+ * DIRECT ALL EXCEPT PLAYER TO FACE PLAYER
+ * DIRECTOR DEFINE GROUP NAMED GUARDS AS GUARD_1 AND GUARD_2
+ * DIRECT EACH OF GUARDS TO MOVE TO GATE
+ * DIRECT BOTH KING AND QUEEN TO FACE PLAYER
+ * DIRECT EVERYONE NAMED VILLAGER* TO HALT
+ *
+ * The party can be directed too. FOLLOWER 2 is the second follower behind
+ * the player and MEMBER 2 is the second member of the party (MEMBER 1 being
+ * the player). PARTY is the player and all of their followers. Followers
+ * stop following the player while they're directed and gather back up
+ * once they're done:
+ *
+ * DIRECT FOLLOWER 1 TO MOVE TO ALTAR
+ * DIRECT PARTY TO FACE KING
+ *
+ * REGION n and TERRAIN n are anywhere on the map with that region ID or
+ * terrain tag. Each actor heads for the closest one it can reach, and no
+ * two actors will pick the same tile:
+ *
+ * DIRECT GUARD TO MOVE TO REGION 7
+ * DIRECT ALL EXCEPT PLAYER TO RUN TO TERRAIN 3
+ *
+ * BOAT, SHIP and AIRSHIP are the map's vehicles. The player can BOARD one
+ * and DISEMBARK (or LAND) wherever the vehicle is allowed to let them off.
+ * While the player is aboard, directing the vehicle directs the player:
+ *
+ * DIRECT PLAYER TO BOARD SHIP
+ * DIRECT SHIP TO MOVE TO [20,4] THEN DISEMBARK SOUTH
+ *
+ * JUMP hops in place, a number of spaces in a direction, onto a target, or
+ * OVER a target to land on the far side of it. Like in game, nothing stops
+ * an actor from landing somewhere they couldn't walk to:
+ *
+ * DIRECT PLAYER TO JUMP
+ * DIRECT PLAYER TO JUMP 2 SPACES NORTH
+ * DIRECT GUARD TO JUMP TO [5,5]
+ * DIRECT PLAYER TO JUMP OVER CRATE THEN WAIT FOR GUARD
+ *
+ * SAY opens the message window with the speaker's name and face. Each
+ * quoted line is a line of the message, three to a message, and the
+ * direction is done once the player closes the last of them. Use WHILE to
+ * keep everyone else moving meanwhile:
+ *
+ * DIRECT GUARD TO SAY "Halt! Who goes there?"
+ * DIRECT KING TO SAY "Welcome," "traveller." WHILE GUARD MOVES TO DOOR
+ *
+ * The player and followers speak as their party members. An event speaks
+ * under its own name with no face, unless its note says otherwise:
+ *
+ * <speaker:Captain Rowe>
+ * <face:People1 3>
+ *
+ * EMOTE shows a balloon icon over the actor and is done once it has played.
+ * Given a duration the balloon keeps playing until the time is up:
+ *
+ * DIRECT PLAYER TO EMOTE SURPRISE
+ * DIRECT GUARD AND KING TO EMOTE ANGER
+ * DIRECT KING TO EMOTE QUESTION FOR 2 SECONDS
+ *
+ * The balloons are EXCLAMATION (or SURPRISE), QUESTION, MUSIC, HEART (or
+ * LOVE), ANGER, SWEAT, COBWEB, SILENCE, LIGHTBULB (or IDEA) and ZZZ (or
+ * SLEEP). Name the user-defined ones with the Balloons parameter.
+ *
+ * ANIMATE plays an animation from the database, by ID or by name, on the
+ * actor or ON someone else. It's done once the animation has played:
+ *
+ * DIRECT MAGE TO ANIMATE 42 ON SLIME
+ * DIRECT PLAYER TO ANIMATE "Heal One"
+ * DIRECT PRIEST TO ANIMATE "Heal All" ON PARTY THEN SAY "Be well."
+ *
+ * The Director can also work the screen. FADE OUT and FADE IN, TINT to a
+ * preset, FLASH a color and SHAKE (GENTLY or STRONGLY, SLOWLY or QUICKLY).
+ * FOR sets how long each takes, and DIRECTOR WAIT ALL waits for them:
+ *
+ * DIRECTOR FADE OUT FOR 1 SECOND
+ * DIRECTOR TINT SEPIA
+ * DIRECTOR FLASH WHITE
+ * DIRECTOR SHAKE STRONGLY FOR 30 FRAMES
+ * DIRECTOR WAIT ALL
+ *
+ * The tints are MV's presets NORMAL, DARK, SEPIA, SUNSET and NIGHT, plus
+ * any added with the Tints parameter. The flash colors are WHITE, RED,
+ * GREEN, BLUE, YELLOW and BLACK.
+ *
+ * The camera can be moved with PAN, which scrolls the map over to center on
+ * a target (SLOWLY or QUICKLY if you like), and FOCUS, which does the same
+ * and then keeps the target centered as it moves. The camera stays put
+ * until it's RETURNed, to the player unless told otherwise:
+ *
+ * DIRECTOR PAN TO THRONE SLOWLY
+ * DIRECTOR FOCUS ON GUARD
+ * DIRECTOR RETURN CAMERA TO PLAYER
+ *
+ * Directions normally wait their turn behind whatever an actor is already
+ * doing. Add NOW to have the actor drop what it's doing and get on with this
+ * instead. HALT always cuts in; QUEUE makes it wait its turn like the rest:
+ *
+ * DIRECT GUARD TO FACE PLAYER NOW
+ * DIRECT GUARD TO HALT QUEUE
+ *
  * Plugin Command:
  *   DIRECT <actor> TO <verb> [WITH <sub-actor>] [AND <sub-actor>]
  *   DIRECT <actor> TO HALT
  *   DIRECTOR HALT ALL
  *   DIRECTOR WAIT ALL
+ *   DIRECTOR FADE OUT|IN [FOR <duration>]
+ *   DIRECTOR TINT <tint> [FOR <duration>]
+ *   DIRECTOR FLASH <color> [FOR <duration>]
+ *   DIRECTOR SHAKE [GENTLY|STRONGLY] [SLOWLY|QUICKLY] [FOR <duration>]
+ *   DIRECTOR PAN [CAMERA] TO <target> [SLOWLY|QUICKLY]
+ *   DIRECTOR FOCUS [CAMERA] ON <target> [SLOWLY|QUICKLY]
+ *   DIRECTOR RETURN CAMERA [TO <target>] [SLOWLY|QUICKLY]
+ *   DIRECTOR DEFINE GROUP NAMED <name> AS <target> [AND <target>]
+ *   DIRECTOR DEFINE VERB <name> AS <direction>
+ *   DIRECTOR DEFINE MARK NAMED <name> AS <place>
  *
  * Target Acquisition:
  *   EventName: String representing the name of an event on the $gameMap.
- *   Id: Numeric representing an event ID on $gameMap.
+ *   "Event Name": An event name with spaces in it, in quotes.
+ *   #Id: # and a number for an event ID on $gameMap, e.g. #42.
  *   [X,Y]: Coordinate string representing X,Y coordinates on the map.
+ *     Either can be +/- a number to be relative to the actor, e.g. [+1,-2],
+ *     or V and a variable ID to use that variable's value, e.g. [V12,V13].
+ *     Variables are read as the direction plays out, not when it's given.
+ *   Mark: The name of a mark set with DEFINE MARK or a map note.
+ *   Landmark: MAP_ or SCREEN_ followed by CENTER (or MIDDLE), TOP, BOTTOM,
+ *     LEFT, RIGHT, SIDE, TOP_LEFT, TOP_RIGHT, BOTTOM_LEFT or BOTTOM_RIGHT.
+ *     The edges are halfway along, e.g. MAP_TOP is the middle of the top
+ *     row, and SIDE is whichever of LEFT and RIGHT is nearer.
+ *     SCREEN_ landmarks are wherever the screen is when they're used.
  *
  * Basic Verbs:
  *   MOVE
@@ -108,44 +328,146 @@ KCL.Director = KCL.Director || {};
  *   FACE
  *   TURN
  *   FOLLOW
+ *   BOARD
+ *   DISEMBARK
+ *   JUMP
+ *   SAY
+ *   EMOTE
+ *   ANIMATE
+ *   FADE
+ *   TINT
+ *   FLASH
+ *   SHAKE
+ *   PAN
+ *   FOCUS
+ *   RETURN
  *   HALT
  *   WAIT
+ *   DEFINE
  *
  * Reserved Words:
  *   These are words which are or may be used by Director to process
  *   command input. For this reason it is not recommended to use any
  *   of these words as the name of an event. Please be careful!
  * 
- *   PLAYER,PARTY,MEMBER,FOLLOWER
+ *   PLAYER,PARTY,MEMBER,FOLLOWER,BOAT,SHIP,AIRSHIP,REGION,TERRAIN
  *   LEFT,RIGHT,UP,DOWN,TOP,BOTTOM,SIDE,CENTER,MIDDLE
- *   NORTH,SOUTH,EAST,WEST
+ *   NORTH,SOUTH,EAST,WEST,ABOVE,BELOW,BEHIND,FRONT,IN,ON
  *   FOR,AND,NOR,BUT,OR,YET,SO,TO,IS,AS,NOT
- *   EACH,OTHER,BOTH,EXCEPT
+ *   EACH,OTHER,BOTH,EXCEPT,EVERYONE,OF
  *   THEN,CONDITION,ALL,NONE,WAIT,WITH,DONE,FINISHED,OVER
  *   STEP,STEPS,AWAY,TOWARD,FROM,BLOCK,BLOCKS,SPACE,
  *   SPACES, SQUARE, SQUARES, DELAY
  *   SET,OPTION,
  *   SECONDS,MINUTES,FRAMES
+ *   REPEAT,TIMES,FOREVER,AFTER
+ *   SWITCH,VARIABLE,NEAR,REACHES,EQUALS,LESSTHAN,GREATERTHAN
+ *   DEFINE,GROUP,VERB,MARK,NAMED
+ *   NOW,QUEUE,CAMERA
  * 
  * TODO:
  * * Have Scene Waits hold the event system from processing further events.
- * * Support returning multiple actors at a time from a single getActor()
- * * Support the Repeat() directive
- * * Have the context chain ultimately culminate in a linked list so that 
- * *   a repeat directive can repeat a whole chain.
  */
 
 
  (function() {
 
+ 	// the vehicle special targets, in MV's order
+ 	var Vehicles = ['BOAT', 'SHIP', 'AIRSHIP'];
+ 	KCL.Director.Vehicles = Vehicles;
+
+ 	// Landmarks are found on the map (MAP_CENTER) or the screen (SCREEN_CENTER)
+ 	// at these fractions of the way across and down it. SIDE is either side,
+ 	// so it's an area like a region.
+ 	var Landmarks = {
+ 		CENTER: [0.5, 0.5],
+ 		MIDDLE: [0.5, 0.5],
+ 		TOP: [0.5, 0],
+ 		BOTTOM: [0.5, 1],
+ 		LEFT: [0, 0.5],
+ 		RIGHT: [1, 0.5],
+ 		SIDE: [[0, 0.5], [1, 0.5]],
+ 		TOP_LEFT: [0, 0],
+ 		TOP_RIGHT: [1, 0],
+ 		BOTTOM_LEFT: [0, 1],
+ 		BOTTOM_RIGHT: [1, 1]
+ 	};
+ 	KCL.Director.Landmarks = Landmarks;
+
+ 	// EMOTE's balloons by name, numbered as on MV's balloon sheet
+ 	var Balloons = {
+ 		EXCLAMATION: 1,
+ 		SURPRISE: 1,
+ 		QUESTION: 2,
+ 		MUSIC: 3,
+ 		HEART: 4,
+ 		LOVE: 4,
+ 		ANGER: 5,
+ 		SWEAT: 6,
+ 		COBWEB: 7,
+ 		SILENCE: 8,
+ 		LIGHTBULB: 9,
+ 		IDEA: 9,
+ 		ZZZ: 10,
+ 		SLEEP: 10
+ 	};
+ 	KCL.Director.Balloons = Balloons;
+
+ 	// TINT's tones as [red, green, blue, gray], MV's presets to start with
+ 	var Tints = {
+ 		NORMAL: [0, 0, 0, 0],
+ 		DARK: [-68, -68, -68, 0],
+ 		SEPIA: [34, -34, -68, 170],
+ 		SUNSET: [68, -34, -34, 0],
+ 		NIGHT: [-68, -68, 0, 68]
+ 	};
+ 	KCL.Director.Tints = Tints;
+
+ 	// FLASH's colors as [red, green, blue, strength]
+ 	var FlashColors = {
+ 		WHITE: [255, 255, 255, 170],
+ 		RED: [255, 0, 0, 170],
+ 		GREEN: [0, 255, 0, 170],
+ 		BLUE: [0, 0, 255, 170],
+ 		YELLOW: [255, 255, 0, 170],
+ 		BLACK: [0, 0, 0, 170]
+ 	};
+ 	KCL.Director.FlashColors = FlashColors;
+
+ 	// SAY's lines to a message. MV's window fits four and the name takes one.
+ 	var MessageLines = 3;
+
+ 	if (typeof PluginManager !== 'undefined') {
+ 		var parameters = PluginManager.parameters('KCL_Director_Scene');
+ 		_.each((parameters['Balloons'] || '').split(','), function(entry) {
+ 			var parts = entry.split(':');
+ 			var id = parseInt(parts[1], 10);
+ 			if (parts[0].trim() && id > 0)
+ 				Balloons[parts[0].trim().toUpperCase()] = id;
+ 		});
+ 		_.each((parameters['Tints'] || '').split(','), function(entry) {
+ 			var parts = entry.split(':');
+ 			var tone = _.map((parts[1] || '').trim().split(/\s+/), function(n) { return parseInt(n, 10); });
+ 			if (parts[0].trim() && tone.length === 4 && _.every(tone, _.isFinite))
+ 				Tints[parts[0].trim().toUpperCase()] = tone;
+ 		});
+ 	}
+
  	KCL.Director.SceneDirector = SceneDirector;
  	KCL.Director.SceneState = SceneState;
+ 	KCL.Director.SceneActor = SceneActor;
+ 	KCL.Director.VehicleActor = VehicleActor;
+ 	KCL.Director.MVStage = MVStage;
+ 	KCL.Director.DirectionHandle = DirectionHandle;
+ 	KCL.Director.CancelError = CancelError;
+ 	KCL.Director.DirectionBuilder = DirectionBuilder;
 
  	function SceneState() {
  		this.directions = [];
  		this.commands = [];
  		this.actors = [];
  		this.gameCharacters = {};
+ 		this.claims = {};
 
  		this.wait = false;
  	}
@@ -185,6 +507,75 @@ KCL.Director = KCL.Director || {};
  		}
  	}
 
+ 	// Puts a direction in line at index rather than at the back. Each actor
+ 	// drops what it's doing (if it had started) for this direction.
+ 	SceneState.prototype.cutIn = function(direction, index) {
+ 		if (direction.hasActor() && direction.getContext().directedTo() === KCL.Director.DirectedTo.Actor) {
+ 			var actors = direction.getActors().concat(direction.getWith());
+ 			this.activate(actors);
+ 			_.each(actors, function(actor) {
+ 				actor.state.insert(direction, this.preempt(actor) ? 1 : 0);
+ 			}, this);
+ 			this.directions.splice(index, 0, direction);
+ 		} else {
+ 			this.commands.splice(index, 0, direction);
+ 		}
+ 	}
+
+ 	// End the actor's part in its current direction, if it's started. It's
+ 	// cleaned up (actionStateComplete and all) on the next tick. Returns
+ 	// whether there was anything to end.
+ 	SceneState.prototype.preempt = function(actor) {
+ 		var current = actor.state.current();
+ 		if (!current) return false;
+
+ 		var status = current.state.getStatus();
+ 		if (status === KCL.Director.DirectionStates.Init || status === KCL.Director.DirectionStates.Delayed)
+ 			return false;
+
+ 		current.state.actionState(actor).setStatus(KCL.Director.ActionStates.Done);
+
+ 		// nobody's left on it so it's over for good, repeats and all
+ 		if (_.every(current.state.actionState(), function(a) { return a.getStatus() === KCL.Director.ActionStates.Done; }))
+ 			current.halt();
+
+ 		return true;
+ 	}
+
+ 	// Puts a direction right behind another in the scene and in the queue
+ 	// of each of its actors.
+ 	SceneState.prototype.follow = function(direction, previous) {
+ 		var list = _.contains(this.commands, previous) ? this.commands : this.directions;
+ 		list.splice(_.indexOf(list, previous)+1, 0, direction);
+
+ 		if (list === this.directions) {
+ 			var actors = direction.getActors().concat(direction.getWith());
+ 			this.activate(actors);
+ 			_.each(actors, function(actor) {
+ 				var index = _.indexOf(actor.state.directions, previous);
+ 				if (index < 0)
+ 					actor.state.push(direction);
+ 				else
+ 					actor.state.insert(direction, index+1);
+ 			});
+ 		}
+ 	}
+
+ 	// Puts fresh directions in the place of one which just finished, both in
+ 	// the scene and at the front of each of their actors' queues.
+ 	SceneState.prototype.replace = function(direction, directions) {
+ 		var index = _.indexOf(this.directions, direction);
+ 		Array.prototype.splice.apply(this.directions, [index < 0 ? this.directions.length : index, 0].concat(directions));
+
+ 		_.each(directions.slice().reverse(), function(d) {
+ 			var actors = d.getActors().concat(d.getWith());
+ 			this.activate(actors);
+ 			_.each(actors, function(actor) {
+ 				actor.state.directions.unshift(d);
+ 			});
+ 		}, this);
+ 	}
+
  	SceneState.prototype.activate = function(actor) {
  		if (_.isArray(actor)) {
  			_.each(actor, function(a) {
@@ -211,7 +602,7 @@ KCL.Director = KCL.Director || {};
 		this.verbs = [
 		{
 			verb: 'MOVE',
-			alias: ['HEAD', 'MOVES', 'HEADS'],
+			alias: ['HEAD', 'MOVES', 'HEADS', 'STAND', 'STANDS'],
 			handler: move,
 			actionStateComplete: moveComplete,
 			adverbs: ['SLOWLY', 'QUICKLY'],
@@ -258,28 +649,148 @@ KCL.Director = KCL.Director || {};
 			adverbs: [],
 			prepositions: ['NORTH', 'SOUTH', 'EAST', 'WEST', 'LEFT', 'RIGHT', 'UP', 'DOWN', 'TOWARD', 'AWAY']
 		},
+		{
+			verb: 'BOARD',
+			alias: ['BOARDS', 'EMBARK', 'EMBARKS'],
+			handler: board,
+			validator: boardable,
+			requiresTargetBeforeAdverbs: true,
+			adverbs: [],
+			prepositions: []
+		},
+		{
+			verb: 'DISEMBARK',
+			alias: ['DISEMBARKS', 'LAND', 'LANDS'],
+			handler: disembark,
+			adverbs: [],
+			prepositions: ['NORTH', 'SOUTH', 'EAST', 'WEST', 'LEFT', 'RIGHT', 'UP', 'DOWN']
+		},
+		{
+			verb: 'JUMP',
+			alias: ['JUMPS'],
+			handler: jump,
+			adverbs: [],
+			prepositions: ['NORTH', 'SOUTH', 'EAST', 'WEST', 'LEFT', 'RIGHT', 'UP', 'DOWN', 'OVER']
+		},
+		{
+			verb: 'EMOTE',
+			alias: ['EMOTES'],
+			handler: emote,
+			validator: emotable,
+			adverbs: _.keys(Balloons),
+			prepositions: []
+		},
+		{
+			verb: 'ANIMATE',
+			alias: ['ANIMATES'],
+			handler: animate,
+			validator: animatable,
+			quotes: true,
+			numbers: true,
+			adverbs: [],
+			prepositions: [],
+			contextSwitches: {
+				'default': {
+					'ON': KCL.Director.Speech.TARGET
+				}
+			}
+		},
+		{
+			verb: 'FADE',
+			alias: ['FADES'],
+			handler: screen,
+			adverbs: ['OUT', 'IN'],
+			prepositions: []
+		},
+		{
+			verb: 'TINT',
+			alias: ['TINTS'],
+			handler: screen,
+			validator: tintable,
+			adverbs: _.keys(Tints),
+			prepositions: []
+		},
+		{
+			verb: 'FLASH',
+			alias: ['FLASHES'],
+			handler: screen,
+			validator: flashable,
+			adverbs: _.keys(FlashColors),
+			prepositions: []
+		},
+		{
+			verb: 'SHAKE',
+			alias: ['SHAKES'],
+			handler: screen,
+			adverbs: ['GENTLY', 'STRONGLY', 'SLOWLY', 'QUICKLY'],
+			prepositions: []
+		},
+		{
+			verb: 'PAN',
+			alias: ['PANS'],
+			handler: camera,
+			validator: aimable,
+			adverbs: ['SLOWLY', 'QUICKLY'],
+			prepositions: [],
+			fillerWords: ['CAMERA']
+		},
+		{
+			verb: 'FOCUS',
+			alias: ['FOCUSES'],
+			handler: camera,
+			validator: aimable,
+			adverbs: ['SLOWLY', 'QUICKLY'],
+			prepositions: [],
+			fillerWords: ['CAMERA'],
+			contextSwitches: {
+				'default': {
+					'ON': KCL.Director.Speech.TARGET
+				}
+			}
+		},
+		{
+			verb: 'RETURN',
+			alias: ['RETURNS'],
+			handler: camera,
+			adverbs: ['SLOWLY', 'QUICKLY'],
+			prepositions: [],
+			fillerWords: ['CAMERA']
+		},
+		{
+			verb: 'SAY',
+			alias: ['SAYS'],
+			handler: say,
+			validator: sayable,
+			quotes: true,
+			adverbs: [],
+			prepositions: []
+		},
 		{
 			verb: 'WAIT',
 			handler: wait,
 			requiresTargetBeforeAdverbs: true,
 			defaultAsync: false,
 			adverbs: [],
-			prepositions: []
+			prepositions: [],
+			fillerWords: ['ALL', 'ON']
 		},
 		{
 			verb: 'HALT',
 			handler: halt,
 			interrupt: true,
 			adverbs: [],
-			prepositions: []
+			prepositions: [],
+			fillerWords: ['ALL']
 		},
 		{
 			verb: 'DEFINE',
 			handler: define,
-			adverbs: ['GROUP'],
+			immediate: true,
+			adverbs: ['GROUP', 'VERB', 'MARK'],
 			contextSwitches: {
 				'default': {
-					'NAMED': KCL.Director.Speech.TOKEN
+					'NAMED': KCL.Director.Speech.TOKEN,
+					'VERB': KCL.Director.Speech.VERBATIM
 				},
 				'token': {
 					'AS': KCL.Director.Speech.TARGET
@@ -333,6 +844,14 @@ KCL.Director = KCL.Director || {};
 			name: 'BELOW',
 			requiresTarget: true
 		},
+		{
+			name: 'BEHIND',
+			requiresTarget: true
+		},
+		{
+			name: 'FRONT',
+			requiresTarget: true
+		},
 		{
 			name: 'TOWARD',
 			requiresTarget: true
@@ -347,6 +866,42 @@ KCL.Director = KCL.Director || {};
 		{
 			name: 'PLAYER',
 			handler: acquirePlayer
+		},
+		{
+			name: 'FOLLOWER',
+			handler: acquireFollower,
+			indexed: true
+		},
+		{
+			name: 'MEMBER',
+			handler: acquireMember,
+			indexed: true
+		},
+		{
+			name: 'PARTY',
+			handler: acquireParty
+		},
+		{
+			name: 'REGION',
+			handler: acquireRegion,
+			indexed: true
+		},
+		{
+			name: 'TERRAIN',
+			handler: acquireTerrain,
+			indexed: true
+		},
+		{
+			name: 'BOAT',
+			handler: acquireVehicle
+		},
+		{
+			name: 'SHIP',
+			handler: acquireVehicle
+		},
+		{
+			name: 'AIRSHIP',
+			handler: acquireVehicle
 		}
 		]
 
@@ -430,6 +985,13 @@ KCL.Director = KCL.Director || {};
 					var actionState = d.state.actionState(actor);
 					var actionTarget = actionState.target||target;
 
+					if (actionTarget && actionTarget.isArea()) {
+						// each actor heads for a tile of its own
+						actionTarget = actionState.target = this.claimTile(actionTarget, actor);
+					} else if (actionTarget && actionTarget.isRelative()) {
+						actionTarget = actionState.target = actionTarget.relativeTo(actor);
+					}
+
 					if (relativeTarget) {
 						// target is relative to actor
 						if (preposition.hasAmount()) {
@@ -470,22 +1032,23 @@ KCL.Director = KCL.Director || {};
 						var done = !actor.actor.isMovementSucceeded();
 
 						if (d.hasCondition() && d.getCondition().isValid()) {
-							done = condition.isMet(actor, d);
+							done = d.getCondition().isMet(actor, d);
 						}
 
 						if (done) {
 							actionState.setStatus(KCL.Director.ActionStates.Done);
 						}
 					}
-				});
+				}, this);
 
 
 			}
 		}
 
 		function moveComplete(d, actor) {
-			console.log('move complete');
+			this.debug('director :: move complete');
 			if (actor) {
+				this.releaseTile(actor);
 				var actionState = d.state.actionState(actor);
 				if (_.has(actionState, 'originalSpeed')) {
 					actor.actor.setMoveSpeed(actionState.originalSpeed);
@@ -525,7 +1088,7 @@ KCL.Director = KCL.Director || {};
 						}
 					} else {
 						if (d.hasTarget()) {
-							target = _.first(d.getTargets());
+							target = _.first(d.getTargets()).relativeTo(actor);
 						} else {
 							// this was not a very good use of the command. 
 							console.warn('face command executed with no preposition or target');
@@ -545,164 +1108,678 @@ KCL.Director = KCL.Director || {};
 			} else {
 				// Init state pretty much executes the 'face' so now we just need
 				// to trigger that we're done on the actionState.
+				// A face held FOR a while or UNTIL something happens is ended by
+				// its duration or condition instead.
+				var hold = d.hasDuration() || (d.hasCondition() && d.getCondition().isValid());
 				var actionStates = _(d.state.actionState())
 				.filter(function(actionState) { return actionState.status == KCL.Director.ActionStates.Triggered; })
-				.each(function(actionState) { actionState.setStatus(KCL.Director.ActionStates.Done); })
+				.each(function(actionState) { 
+					actionState.setStatus(hold 
+						? KCL.Director.ActionStates.Running
+						: KCL.Director.ActionStates.Done); 
+				})
 				.value();
 			}
 		}
 
-		function wait(d) {
-			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
-				d.state.setStatus(KCL.Director.DirectionStates.Waiting);
+		// Like in game, only the player can board, and only vehicles.
+		function boardable(d) {
+			var target = _.first(d.getTargets());
+			if (!target || !target.isActor() || !(target.getActor() instanceof VehicleActor))
+				return 'board needs a vehicle (BOAT, SHIP or AIRSHIP)';
+			if (!_.every(d.getActors(), function(actor) { return this.stage.isPlayer(actor.actor); }, this))
+				return 'only the player can board a vehicle';
+		}
 
-				if (d.getContext().directedTo() === KCL.Director.DirectedTo.Actor) {
-					var actors = d.getActors().concat(d.getWith());
-					_.each(actors, function(actor) {
-						var actionState = d.actionState(actor);
+		// Walk up to a vehicle and get on.
+		function board(d) {
+			var target = _.first(d.getTargets());
+			var vehicle = target && target.isActor() && target.getActor() instanceof VehicleActor
+				? target.getActor() 
+				: undefined;
 
-						actionState.setStatus(KCL.Director.ActionStates.Running);
-					});
-				}					
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+				_.each(d.getActors(), function(actor) {
+					var actionState = d.state.actionState(actor);
+					actionState.setStatus(vehicle && this.stage.isPlayer(actor.actor)
+						? KCL.Director.ActionStates.Running
+						: KCL.Director.ActionStates.Done);
+				}, this);
+				return;
 			}
 
-			if (d.getContext().directedTo() === KCL.Director.DirectedTo.Actor) {
-				var actors = d.getActors().concat(d.getWith());
-				_.each(actors, function(actor) {
-					var actionState = d.actionState(actor);
-
-					if (d.hasTarget()) {
-						// we want to wait for all target(s) to have no running/triggered actionStates.
-						var done = _(d.getTargets())
-							.filter(function(target) { return target.hasActor(); })
-							.map(function(target) { return target.getActor() })
-							.map(function(actor) { return actor.state.directions })
-							.flatten()
-							.map(function(direction) { return direction.state.actionState() })
-							.reject(function(direction) { return direction === d })
-							.every(function(actionState) {
-								var status = actionState.getStatus();
-								return status != KCL.Director.ActionStates.Running && status != KCL.Director.ActionStates.Triggered
-							});
-						if (done) 
-							actionState.setStatus(KCL.Director.ActionStates.Done);
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				var actor = actionState.actor;
+				var done = false;
+
+				if (actionState.boarding) {
+					done = !this.stage.isBoarding(actor.actor);
+				} else {
+					// airships are boarded from underneath, the others from beside
+					var coords = vehicle.coords();
+					var here = actor.coords();
+					var distance = Math.abs(coords.x - here.x) + Math.abs(coords.y - here.y);
+					var reached = vehicle.getType() === 'AIRSHIP' ? distance === 0 : distance === 1;
+
+					if (reached) {
+						if (distance) actor.turnToward(KCL.Director.Target.prototype.fromCoords(coords));
+						actionState.boarding = this.stage.getOnVehicle(actor.actor);
+						if (!actionState.boarding) 
+							this.diagnose(d.getContext(), KCL.Director.Severity.Warning, 'could not board', vehicle.getName(), 0);
+						done = !actionState.boarding;
 					} else {
-						done = _.every(this.scene.directions, function(direction) {
-								var status = direction.state.getStatus();
-								return status != KCL.Director.DirectionStates.Running && status != KCL.Director.DirectionStates.Waiting
-							});
-						if (done) 
-							actionState.setStatus(KCL.Director.ActionStates.Done);						
+						actor.actor.moveStraight(actor.actor.findDirectionTo(coords.x, coords.y));
+						done = !actor.actor.isMovementSucceeded();
 					}
-				})
-			} else {
-				var done = true;
-				if (d.hasTarget()) {
-					done = _(d.getTargets())
-						.filter(function(target) { return target.hasActor(); })
-						.map(function(target) { return target.getActor() })
-						.map(function(actor) { return actor.state.directions })
-						.flatten()
-						.map(function(direction) { return direction.state.actionState() })
-						.reject(function(direction) { return direction === d })
-						.every(function(actionState) {
-							var status = actionState.getStatus();
-							return status != KCL.Director.ActionStates.Running && status != KCL.Director.ActionStates.Triggered
-						});
-					if (done) 
-						actionState.setStatus(KCL.Director.ActionStates.Done);
-				} else {
-					var that = this;
-					done = _(this.scene.directions)
-						.takeWhile(function(direction) {
-							return direction !== d
-						})
-						.filter(function(direction) { return direction.state.shouldWaitOn() })
-						.every(function(direction) {
-							var status = direction.state.getStatus();
-							return 
-								 	status != KCL.Director.DirectionStates.Running && 
-									status != KCL.Director.DirectionStates.Waiting &&
-									status != KCL.Director.DirectionStates.Init;
-						});
-				}
-				this.scene.wait = !done;
-				if (done) {
-					d.state.setStatus(KCL.Director.DirectionStates.Done);
 				}
-			}
+
+				actionState.setStatus(done 
+					? KCL.Director.ActionStates.Done
+					: KCL.Director.ActionStates.Running);
+			}, this);
 		}
 
-		function halt(d) {
-			if (d.state.getStatus() == KCL.Director.DirectionStates.Init)
+		// Get off whatever vehicle the actor's in, optionally facing a way
+		// first. Where they can land is up to the vehicle.
+		function disembark(d) {
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
 				d.state.setStatus(KCL.Director.DirectionStates.Running);
 
-			if (d.getContext().directedTo() === KCL.Director.DirectedTo.Director) {
-				if (!d.hasTarget()) {
-					// this is easy - burn the world!
-					_(this.scene.directions) 
-					.map(function(direction){return _.values(direction.state.actionState())})
-					.flatten()
-					.each(function(actionState) {
-						actionState.setStatus(KCL.Director.ActionStates.Done);
-					}).value();
-				} else {
-					_(d.getTargets())
-					.filter(function(target) { return target.hasActor() })
-					.map(function(target) { return target.getActor() })
-					.map(function(actor) { return actor.state.directions })
-					.flatten()
-					.map(function(direction) { return direction.state.actionState() })
-					.flatten()
-					.each(function(actionState) {
+				var preposition = _.first(d.getPrepositions());
+				_.each(d.getActors(), function(actor) {
+					var actionState = d.state.actionState(actor);
+					actionState.setStatus(KCL.Director.ActionStates.Running);
+					if (preposition && preposition.direction())
+						actor.actor.setDirection(preposition.direction());
+
+					actionState.boarding = this.stage.getOffVehicle(actor.actor);
+					if (!actionState.boarding) {
+						this.diagnose(d.getContext(), KCL.Director.Severity.Warning, 'can not disembark here', actor.getName(), 0);
 						actionState.setStatus(KCL.Director.ActionStates.Done);
-					}).value();
-				}
-			} else {
-				var actor = d.getActor();
-				_(actor.state.directions)
-				.map(function(direction) { return direction.state.actionState() })
-				.flatten()
-				.each(function(actionState) {
-					actionState.setStatus(KCL.Director.ActionStates.Done);
-				}).value();
+					}
+				}, this);
+				return;
 			}
-			d.state.setStatus(KCL.Director.DirectionStates.Done);
+
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				actionState.setStatus(this.stage.isBoarding(actionState.actor.actor)
+					? KCL.Director.ActionStates.Running
+					: KCL.Director.ActionStates.Done);
+			}, this);
 		}
 
-		function define(d) {
-			if (d.getContext().directedTo() === KCL.Director.DirectedTo.Director) {
-				if (_.contains(d.getAdverbs(), 'GROUP')) {
-					var groupName = _.first(d.getTokens());
-					if (groupName) {
-						if (d.hasTarget()) {
-							this.defineSpecialTarget(groupName, function(){return d.getTargets()});
-						} else {
-							console.warn('director :: define "group" could not identify any targets');
-						}
-					} else {
-						console.warn('director :: define "group" must specify a group name');
-					}
+		// Jump in place, by a direction, onto a target or over one. The
+		// actor is done once they've landed.
+		function jump(d) {
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+				var target = _.first(d.getTargets());
+				var preposition = _.first(d.getPrepositions());
+				var over = preposition && preposition.getPreposition().getName() === 'OVER';
+
+				if (preposition && !over) {
+					if (preposition.hasTarget())
+						target = _.first(preposition.getTargets()).preposition(preposition);
+					else if (target)
+						target = target.preposition(preposition);
+				} else if (over && preposition.hasTarget()) {
+					target = _.first(preposition.getTargets());
 				}
+
+				_.each(d.getActors().concat(d.getWith()), function(actor) {
+					var actionState = d.state.actionState(actor);
+					var here = actor.coords();
+					var landing = target;
+
+					if (landing && landing.isArea()) {
+						landing = actionState.target = this.claimTile(landing, actor);
+					} else if (landing) {
+						landing = landing.relativeTo(actor);
+					} else if (preposition && !over) {
+						// JUMP 2 SPACES NORTH and the like
+						landing = KCL.Director.Target.prototype.fromActor(actor).preposition(preposition);
+					}
+
+					var coords = landing ? landing.coords() : here;
+					if (over && landing) {
+						// clear the target by a space on the far side
+						var dx = coords.x - here.x;
+						var dy = coords.y - here.y;
+						if (Math.abs(dx) >= Math.abs(dy)) 
+							dy = 0;
+						else
+							dx = 0;
+						coords = coords.shift(dx ? dx/Math.abs(dx) : 0, dy ? dy/Math.abs(dy) : 0);
+					}
+
+					if (coords.x < 0 || coords.y < 0 || coords.x >= this.stage.width() || coords.y >= this.stage.height()) {
+						this.diagnose(d.getContext(), KCL.Director.Severity.Warning, 'can not jump off the map', actor.getName(), 0);
+						coords = here;
+					}
+
+					actionState.setStatus(KCL.Director.ActionStates.Running);
+					actor.actor.jump(coords.x - here.x, coords.y - here.y);
+				}, this);
+				return;
 			}
-			d.state.setStatus(KCL.Director.DirectionStates.Done);
+
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				actionState.setStatus(actionState.actor.actor.isJumping()
+					? KCL.Director.ActionStates.Running
+					: KCL.Director.ActionStates.Done);
+			});
 		}
 
-		function acquirePlayer(target) {
-			return $gameMap._interpreter.character(-1);     
+		function emotable(d) {
+			if (!_.any(d.getAdverbs(), function(adverb) { return _.has(Balloons, adverb); }))
+				return 'emote needs a balloon, e.g. EMOTE SURPRISE';
 		}
 
-		this.initialize();
-	}
+		// Play a balloon over each actor, over and over if there's a duration.
+		function emote(d) {
+			var balloon = Balloons[_.find(d.getAdverbs(), function(adverb) { return _.has(Balloons, adverb); })];
 
-	SceneDirector.prototype = Object.create(KCL.Director.Director.prototype);
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+				_.each(d.getActors().concat(d.getWith()), function(actor) {
+					var actionState = d.state.actionState(actor);
+					actionState.setStatus(KCL.Director.ActionStates.Running);
+					if (balloon)
+						actor.actor.requestBalloon(balloon);
+					else
+						actionState.setStatus(KCL.Director.ActionStates.Done);
+				});
+				return;
+			}
+
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				var character = actionState.actor.actor;
+				var done = false;
+				if (!character.isBalloonPlaying()) {
+					if (d.hasDuration() && !d.isExpired())
+						character.requestBalloon(balloon);
+					else
+						done = true;
+				}
+
+				actionState.setStatus(done 
+					? KCL.Director.ActionStates.Done
+					: KCL.Director.ActionStates.Running);
+			});
+		}
+
+		function animatable(d) {
+			var token = _.first(d.getTokens());
+			if (!token || !this.stage.animationId(token)) 
+				return 'no such animation';
+			if (d.hasTarget() && !_.any(d.getTargets(), function(target) { return target.isActor(); }))
+				return 'animations only play on characters';
+		}
+
+		// Play an animation on the actor, or on whoever it's ON. The actor is
+		// done once it's finished playing on all of them.
+		function animate(d) {
+			var token = _.first(d.getTokens());
+			var animationId = token ? this.stage.animationId(token) : 0;
+
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+				_.each(d.getActors().concat(d.getWith()), function(actor) {
+					var actionState = d.state.actionState(actor);
+					actionState.setStatus(KCL.Director.ActionStates.Running);
+
+					actionState.characters = d.hasTarget()
+						? _(d.getTargets())
+							.filter(function(target) { return target.isActor(); })
+							.map(function(target) { return target.getActor().actor; })
+							.value()
+						: [actor.actor];
+
+					if (animationId) {
+						_.each(actionState.characters, function(character) { character.requestAnimation(animationId); });
+					} else {
+						actionState.setStatus(KCL.Director.ActionStates.Done);
+					}
+				});
+				return;
+			}
+
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				var playing = _.any(actionState.characters, function(character) { return character.isAnimationPlaying(); });
+				actionState.setStatus(playing 
+					? KCL.Director.ActionStates.Running
+					: KCL.Director.ActionStates.Done);
+			});
+		}
+
+		function tintable(d) {
+			if (!_.any(d.getAdverbs(), function(adverb) { return _.has(Tints, adverb); }))
+				return 'tint needs a tint, e.g. TINT SEPIA';
+		}
+
+		function flashable(d) {
+			if (!_.any(d.getAdverbs(), function(adverb) { return _.has(FlashColors, adverb); }))
+				return 'flash needs a color, e.g. FLASH WHITE';
+		}
+
+		// FADE, TINT, FLASH and SHAKE the screen, done once it's settled. The
+		// defaults are those of MV's event commands.
+		function screen(d) {
+			var verb = d.getVerb().verb;
+			var toActor = d.getContext().directedTo() === KCL.Director.DirectedTo.Actor;
+			var actors = toActor ? d.getActors().concat(d.getWith()) : [];
+
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(toActor
+					? KCL.Director.DirectionStates.Running
+					: KCL.Director.DirectionStates.Waiting);
+
+				var adverbs = d.getAdverbs();
+				var frames = d.hasDuration() ? Math.max(1, d.getDuration().getFrames()) : undefined;
+
+				switch (verb) {
+					case 'FADE':
+					if (_.contains(adverbs, 'IN'))
+						this.stage.fadeIn(frames || 24);
+					else
+						this.stage.fadeOut(frames || 24);
+					break;
+					case 'TINT':
+					var tint = _.find(adverbs, function(adverb) { return _.has(Tints, adverb); });
+					if (tint)
+						this.stage.tint(Tints[tint], frames || 60);
+					break;
+					case 'FLASH':
+					var color = _.find(adverbs, function(adverb) { return _.has(FlashColors, adverb); });
+					if (color)
+						this.stage.flash(FlashColors[color], frames || 60);
+					break;
+					case 'SHAKE':
+					var power = _.contains(adverbs, 'STRONGLY') ? 9 : _.contains(adverbs, 'GENTLY') ? 2 : 5;
+					var speed = _.contains(adverbs, 'QUICKLY') ? 9 : _.contains(adverbs, 'SLOWLY') ? 2 : 5;
+					this.stage.shake(power, speed, frames || 60);
+					break;
+				}
+
+				_.each(actors, function(actor) {
+					d.state.actionState(actor).setStatus(KCL.Director.ActionStates.Running);
+				});
+				return;
+			}
+
+			var done = !this.stage.isScreenEffectPlaying(verb);
+			if (toActor) {
+				_(d.state.actionState())
+				.filter(function(actionState) { return actionState.status == KCL.Director.ActionStates.Triggered; })
+				.each(function(actionState) {
+					actionState.setStatus(done 
+						? KCL.Director.ActionStates.Done
+						: KCL.Director.ActionStates.Running);
+				}).value();
+			} else if (done) {
+				d.state.setStatus(KCL.Director.DirectionStates.Done);
+			}
+		}
+
+		// An actor points the camera at themselves, the Director needs telling.
+		function aimable(d) {
+			if (!d.hasTarget() && d.getContext().directedTo() === KCL.Director.DirectedTo.Director)
+				return 'the camera needs a target, e.g. PAN TO [5,5]';
+		}
+
+		// PAN, FOCUS and RETURN the camera, done once it gets there. The
+		// Director holds the camera from then on until it's RETURNed.
+		function camera(d) {
+			var verb = d.getVerb().verb;
+			var toActor = d.getContext().directedTo() === KCL.Director.DirectedTo.Actor;
+			var actors = toActor ? d.getActors().concat(d.getWith()) : [];
+
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(toActor
+					? KCL.Director.DirectionStates.Running
+					: KCL.Director.DirectionStates.Waiting);
+
+				// an actor's camera is on themselves, RETURN's on the player
+				var target = _.first(d.getTargets());
+				if (!target && toActor) 
+					target = KCL.Director.Target.prototype.fromActor(_.first(actors));
+				else if (!target && verb === 'RETURN') 
+					target = this.getTarget('PLAYER');
+
+				if (target) {
+					var adverbs = d.getAdverbs();
+					this._camera = d.state.camera = {
+						// a PAN stays where it was sent, even if its target walks off
+						target: verb === 'PAN' ? KCL.Director.Target.prototype.fromCoords(target.coords()) : target,
+						speed: _.contains(adverbs, 'SLOWLY') ? 3 : _.contains(adverbs, 'QUICKLY') ? 5 : 4,
+						focus: verb === 'FOCUS',
+						settled: false
+					};
+				}
+
+				_.each(actors, function(actor) {
+					d.state.actionState(actor).setStatus(KCL.Director.ActionStates.Running);
+				});
+				return;
+			}
+
+			// done once settled, or once another camera direction takes over
+			var camera = d.state.camera;
+			var done = !camera || camera !== this._camera || camera.settled;
+			if (done && camera && camera === this._camera && verb === 'RETURN')
+				this._camera = null;
+
+			if (toActor) {
+				_(d.state.actionState())
+				.filter(function(actionState) { return actionState.status == KCL.Director.ActionStates.Triggered; })
+				.each(function(actionState) {
+					actionState.setStatus(done 
+						? KCL.Director.ActionStates.Done
+						: KCL.Director.ActionStates.Running);
+				}).value();
+			} else if (done) {
+				d.state.setStatus(KCL.Director.DirectionStates.Done);
+			}
+		}
+
+		function sayable(d) {
+			if (!_.any(d.getTokens())) return 'nothing to say, the text goes in quotes';
+		}
+
+		// Show a message as the actor, one at a time if there are several of
+		// them. Each is done once their last message has been closed.
+		function say(d) {
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+				_.each(d.getActors(), function(actor) {
+					var actionState = d.state.actionState(actor);
+					actionState.setStatus(KCL.Director.ActionStates.Running);
+					actionState.pages = _.chunk(d.getTokens(), MessageLines);
+					if (_.any(actionState.pages))
+						actionState.said = speak.call(this, actionState);
+					else
+						actionState.setStatus(KCL.Director.ActionStates.Done);
+				}, this);
+				return;
+			}
+
+			var triggered = _.filter(d.state.actionState(), function(actionState) { 
+				return actionState.status == KCL.Director.ActionStates.Triggered; 
+			});
+
+			_.each(triggered, function(actionState) {
+				var done = false;
+				if (!actionState.said) {
+					// someone else still has the message window
+					actionState.said = speak.call(this, actionState);
+				} else if (!this.stage.isMessageBusy()) {
+					if (_.any(actionState.pages))
+						speak.call(this, actionState);
+					else
+						done = true;
+				}
+
+				actionState.setStatus(done 
+					? KCL.Director.ActionStates.Done
+					: KCL.Director.ActionStates.Running);
+			}, this);
+		}
+
+		// Show the actor's next message, if the window's free. Returns whether
+		// it was.
+		function speak(actionState) {
+			if (!this.stage.showMessage(this.stage.speaker(actionState.actor.actor), _.first(actionState.pages)))
+				return false;
+			actionState.pages.shift();
+			return true;
+		}
+
+		function wait(d) {
+			var toActor = d.getContext().directedTo() === KCL.Director.DirectedTo.Actor;
+			var actors = toActor ? d.getActors().concat(d.getWith()) : [];
+
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init) {
+				d.state.setStatus(KCL.Director.DirectionStates.Waiting);
+
+				_.each(actors, function(actor) {
+					d.state.actionState(actor).setStatus(KCL.Director.ActionStates.Running);
+				});
+			}
+
+			var done;
+			if (d.hasDuration() || d.hasCondition()) {
+				// WAIT FOR <n> <unit> is simply a timer, WAIT UNTIL <condition> 
+				// waits on the condition, whichever comes first.
+				done = d.isExpired() || 
+					(d.hasCondition() && d.getCondition().isValid() && d.getCondition().isMet(undefined, d));
+			} else if (d.hasTarget()) {
+				// we want to wait for all target(s) to finish their directions.
+				done = _(d.getTargets())
+					.filter(function(target) { return target.isActor(); })
+					.every(function(target) { return target.getActor().isDone(d); });
+			} else {
+				// otherwise wait on everything which came before us, scene
+				// commands included when the Director is the one waiting
+				var before = function(direction) { return direction !== d };
+				var directions = toActor
+					? _.takeWhile(this.scene.directions, before)
+					: this.scene.directions.concat(_.takeWhile(this.scene.commands, before));
+				done = _(directions)
+					.filter(function(direction) { return direction.state.shouldWaitOn() })
+					.every(function(direction) {
+						var status = direction.state.getStatus();
+						return status != KCL.Director.DirectionStates.Running && 
+							status != KCL.Director.DirectionStates.Waiting &&
+							status != KCL.Director.DirectionStates.Delayed &&
+							status != KCL.Director.DirectionStates.Init;
+					});
+			}
+
+			if (toActor) {
+				_.each(actors, function(actor) {
+					d.state.actionState(actor).setStatus(done 
+						? KCL.Director.ActionStates.Done
+						: KCL.Director.ActionStates.Running);
+				});
+			} else {
+				this.scene.wait = !done;
+				if (done) {
+					d.state.setStatus(KCL.Director.DirectionStates.Done);
+				}
+			}
+		}
+
+		function halt(d) {
+			if (d.state.getStatus() == KCL.Director.DirectionStates.Init)
+				d.state.setStatus(KCL.Director.DirectionStates.Running);
+
+			var directions;
+			if (d.getContext().directedTo() === KCL.Director.DirectedTo.Director) {
+				if (!d.hasTarget()) {
+					// this is easy - burn the world!
+					directions = this.scene.directions;
+				} else {
+					directions = _(d.getTargets())
+					.filter(function(target) { return target.isActor() })
+					.map(function(target) { return target.getActor().state.directions })
+					.flatten()
+					.value();
+				}
+			} else {
+				// a queued HALT only clears the work ahead of it
+				directions = _(d.getActors())
+				.map(function(actor) {
+					return d.isInterrupt() ? actor.state.directions : _.takeWhile(actor.state.directions, function(direction) { return direction !== d });
+				})
+				.flatten()
+				.reject(function(direction) { return direction === d })
+				.value();
+			}
+
+			this.haltDirections(directions);
+			d.state.setStatus(KCL.Director.DirectionStates.Done);
+		}
+
+		function define(d) {
+			if (d.getContext().directedTo() === KCL.Director.DirectedTo.Director) {
+				if (_.contains(d.getAdverbs(), 'GROUP')) {
+					var groupName = _.first(d.getTokens());
+					if (groupName) {
+						if (d.hasTarget()) {
+							this.defineGroup(groupName, d.getTargets());
+						} else {
+							console.warn('director :: define "group" could not identify any targets');
+						}
+					} else {
+						console.warn('director :: define "group" must specify a group name');
+					}
+				} else if (_.contains(d.getAdverbs(), 'VERB')) {
+					defineMacro.call(this, d);
+				} else if (_.contains(d.getAdverbs(), 'MARK')) {
+					var markName = _.first(d.getTokens());
+					var target = _.first(d.getTargets());
+					var phrase = _.first(d.getPrepositions());
+					if (phrase && phrase.hasTarget())
+						target = _.first(phrase.getTargets()).preposition(phrase);
+					if (!markName) {
+						this.diagnose(d.getContext(), KCL.Director.Severity.Error, 'define "mark" must specify a mark name', '', 0);
+					} else if (!target) {
+						this.diagnose(d.getContext(), KCL.Director.Severity.Error, 'define "mark" could not identify a place', markName, 0);
+					} else if (target.isRelative()) {
+						this.diagnose(d.getContext(), KCL.Director.Severity.Error, 'define "mark" needs a place, not somewhere relative', markName, 0);
+					} else {
+						this.defineMark(markName, target);
+					}
+				}
+			}
+			d.state.setStatus(KCL.Director.DirectionStates.Done);
+		}
+
+		// DEFINE VERB [NAMED] <name> AS <body>
+		function defineMacro(d) {
+			var Severity = KCL.Director.Severity;
+			var context = d.getContext();
+			var tokens = _.dropWhile(d.getTokens(), function(t) { return t === 'NAMED'; });
+			var verbName = tokens[0];
+			var body = tokens.slice(2);
+
+			if (!verbName || tokens[1] !== 'AS' || !_.any(body)) {
+				this.diagnose(context, Severity.Error, 'define "verb" must be DEFINE VERB <name> AS <direction>', tokens.join(' '), 0);
+				return;
+			}
+
+			var existing = this.getVerb(verbName);
+			if (existing && !existing.isMacro()) {
+				this.diagnose(context, Severity.Error, 'define "verb" cannot replace a built in verb', verbName, 0);
+				return;
+			}
+
+			// a verb which ends up using itself would never finish expanding
+			var uses = function(words, seen) {
+				return _.any(words, function(word) {
+					if (word === verbName) return true;
+					var verb = this.getVerb(word);
+					if (!verb || !verb.isMacro() || seen[word]) return false;
+					seen[word] = true;
+					return uses(verb.getMacro(), seen);
+				}, this);
+			}.bind(this);
+
+			if (uses(body, {})) {
+				this.diagnose(context, Severity.Error, 'define "verb" cannot use itself', verbName, 0);
+				return;
+			}
+
+			this.debug('director :: defining verb', verbName, body.join(' '));
+			this.defineVerb(new KCL.Director.Verb({ verb: verbName, macro: body }));
+		}
+
+		function acquirePlayer(target) {
+			return this.stage.player();
+		}
+
+		// FOLLOWER on its own is the first one
+		function acquireFollower(target, index) {
+			return this.stage.followers()[(index || 1) - 1];
+		}
+
+		// MEMBER 1 is the party leader, i.e. the player
+		function acquireMember(target, index) {
+			return (index || 1) > 1 ? this.stage.followers()[index - 2] : this.stage.player();
+		}
+
+		function acquireParty(target) {
+			return [this.stage.player()].concat(this.stage.followers());
+		}
+
+		function acquireRegion(target, index) {
+			if (!_.isUndefined(index))
+				return this.area('REGION', index);
+		}
+
+		function acquireTerrain(target, index) {
+			if (!_.isUndefined(index))
+				return this.area('TERRAIN', index);
+		}
+
+		// only if it's on this map
+		function acquireVehicle(target) {
+			return this.stage.vehicle(target);
+		}
+
+		this.stage = new MVStage();
+
+		this.initialize();
+	}
+
+	SceneDirector.prototype = Object.create(KCL.Director.Director.prototype);
 
 	SceneDirector.prototype.initialize = function() {
 		KCL.Director.Director.prototype.initialize.apply(this, arguments);
+		this._marks = {};
+		this._mapMarks = [];
+		this._areas = undefined;
+		this._groups = {};
+		this._detached = [];
+		this._camera = null;
+		this._handles = [];
+		this._handle = undefined;
+		this._idle = true;
 		_.each(this.verbs, function(v) { this.defineVerb(new KCL.Director.Verb(v)); }, this);
 		_.each(this.prepositions, function(p) { this.definePreposition(new KCL.Director.Preposition(p)); }, this);
 		_.each(this.specialTargets, function(t) {
-			this.defineSpecialTarget(t.name, t.handler);
+			this.defineSpecialTarget(t.name, t.handler, t.indexed);
+		}, this);
+		this._landmarks = {};
+		_.each(Landmarks, function(at, name) {
+			this.defineLandmark('MAP_' + name, at, this.mapBounds);
+			this.defineLandmark('SCREEN_' + name, at, this.screenBounds);
 		}, this);
 	}
 
@@ -731,6 +1808,50 @@ KCL.Director = KCL.Director || {};
 		}, this).value();		
 	}
 
+	// Advance the clock on every running direction and end the action states
+	// of any which have run FOR as long as they were told to.
+	SceneDirector.prototype.updateDurations = function() {
+		_(this.scene.directions)
+		.concat(this.scene.commands)
+		.filter(function(d) { 
+			return d.state.status === KCL.Director.DirectionStates.Running ||
+				d.state.status === KCL.Director.DirectionStates.Waiting 
+		})
+		.each(function(d) {
+			d.state.elapse();
+
+			if (d.isExpired() && _.contains(this.scene.directions, d)) {
+				_.each(d.getActors().concat(d.getWith()), function(actor) {
+					var actionState = d.state.actionState(actor);
+					if (actionState.getStatus() !== KCL.Director.ActionStates.Done) {
+						this.debug('director :: duration over', d.getVerb().verb, actor.getName());
+						actionState.setStatus(KCL.Director.ActionStates.Done);
+					}
+				}, this);
+			}
+		}, this).value();
+	}
+
+	// End the action states of any running direction whose UNTIL condition
+	// has been met, whatever the verb.
+	SceneDirector.prototype.checkConditions = function() {
+		_(this.scene.directions)
+		.filter(function(d) { 
+			return d.hasCondition() && d.getCondition().isValid() && (
+				d.state.status === KCL.Director.DirectionStates.Running ||
+				d.state.status === KCL.Director.DirectionStates.Waiting)
+		})
+		.each(function(d) {
+			_.each(d.getActors().concat(d.getWith()), function(actor) {
+				var actionState = d.state.actionState(actor);
+				if (actionState.getStatus() !== KCL.Director.ActionStates.Done && d.getCondition().isMet(actor, d)) {
+					this.debug('director :: condition met', d.getVerb().verb, actor.getName());
+					actionState.setStatus(KCL.Director.ActionStates.Done);
+				}
+			}, this);
+		}, this).value();
+	}
+
 	SceneDirector.prototype.cleanUpActionStates = function() {
 		this.pendingDirections()
 		.filter(function(d) {
@@ -749,6 +1870,7 @@ KCL.Director = KCL.Director || {};
 				actor.state.advance();
 
 				direction.state.actorDone(actor);
+				this.emit(KCL.Director.Events.ActionDone, direction, actor);
 
 				if (!direction.state.hasAnyActors()) 
 					direction.state.setStatus(KCL.Director.DirectionStates.Done);
@@ -767,23 +1889,99 @@ KCL.Director = KCL.Director || {};
 			.each(function(actor) {
 				if (d.getVerb().actionStateComplete)
 					d.getVerb().actionStateComplete.call(this, d, actor);
-				if (actor.state.current() === d)
-					actor.state.advance();
-			})
+			}, this)
 			.value();
+			// take it out of every actor's queue, whether they got to it or not
+			_.each(d.getActors().concat(d.getWith()), function(actor) {
+				_.pull(actor.state.directions, d);
+			});
+			this.repeat(d);
 			this.scene.done(d);
+			this.emit(KCL.Director.Events.DirectionDone, d);
 		}, this).value();		
 	}
 
+	// Once a repeating direction finishes, its chain runs again in its place.
+	SceneDirector.prototype.repeat = function(d) {
+		if (d.doesRepeat() && !d.isHalted() && d.getRepeat().again()) {
+			var directions = _.invoke(d.getRepeat().getChain(), 'clone');
+			_.each(directions, function(direction, idx) {
+				direction.setPrevious(directions[idx-1]);
+				direction.setNext(directions[idx+1]);
+			});
+			this.scene.replace(d, directions);
+			_.invoke(this._handles, 'replace', d, directions);
+		}
+	}
+
+	// Stop directions where they are. They're cleaned up on the next tick.
+	SceneDirector.prototype.haltDirections = function(directions) {
+		_(directions)
+		.each(function(direction) { 
+			direction.halt(); 
+			// ones which haven't started yet never will
+			var status = direction.state.getStatus();
+			if (status === KCL.Director.DirectionStates.Init || status === KCL.Director.DirectionStates.Delayed)
+				direction.state.setStatus(KCL.Director.DirectionStates.Done);
+		})
+		.map(function(direction) { return _.values(direction.state.actionState()) })
+		.flatten()
+		.each(function(actionState) {
+			actionState.setStatus(KCL.Director.ActionStates.Done);
+		}).value();
+	}
+
+	// Like fromString, but returns a DirectionHandle for everything the
+	// commands started.
+	SceneDirector.prototype.run = function(str) {
+		return this.handle(function() { return this.fromString(str); });
+	}
+
+	// Returns a DirectionHandle for every direction assigned by start(),
+	// which returns any diagnostics.
+	SceneDirector.prototype.handle = function(start) {
+		var handle = new DirectionHandle(this);
+		this._handle = handle;
+		try {
+			handle.diagnostics = start.call(this);
+		} catch (e) {
+			if (!(e instanceof KCL.Director.ParseError)) throw e;
+			handle.diagnostics = [e.diagnostic];
+		} finally {
+			this._handle = undefined;
+		}
+
+		var error = _.find(handle.diagnostics, function(d) { return d.isError(); });
+		if (error) {
+			this.haltDirections(handle.directions);
+			handle.reject(new KCL.Director.ParseError(error));
+		} else {
+			this._handles.push(handle);
+			this.settleHandles();
+		}
+		return handle;
+	}
+
+	SceneDirector.prototype.settleHandles = function() {
+		_.remove(this._handles, function(handle) {
+			if (handle.isDone()) handle.resolve();
+			return handle.isSettled();
+		});
+	}
+
+	// Delayed directions go back to Init once their delay is over so they
+	// start up in initDirections.
 	SceneDirector.prototype.checkDelays = function() {
 		_(this.scene.directions) 
 		.filter(function(d) {
 			return d.state.status === KCL.Director.DirectionStates.Delayed 
 		})
 		.each(function(d) {
-			// check the Conditions to see if the status should change
-			// to init
-		}).value();		
+			if (d.getDelay().update(d)) {
+				this.debug('director :: delay over', d.getVerb().verb);
+				d.state.setStatus(KCL.Director.DirectionStates.Init);
+			}
+		}, this).value();		
 	}
 
 	SceneDirector.prototype.updateWaiting = function() {
@@ -793,7 +1991,7 @@ KCL.Director = KCL.Director || {};
 		})
 		.each(function(d) {
 			d.getVerb().getHandler().call(this, d);
-		}).value();		
+		}, this).value();		
 	}
 
 	SceneDirector.prototype.initDirections = function() {
@@ -802,15 +2000,22 @@ KCL.Director = KCL.Director || {};
 			return d.state.status == KCL.Director.DirectionStates.Init 
 		})
 		.each(function(d) {
+			if (d.hasDelay() && !d.getDelay().isOver(d)) {
+				this.debug('director :: delaying actor command', d.getVerb().verb);
+				d.state.setStatus(KCL.Director.DirectionStates.Delayed);
+				return;
+			}
+
 			this.debug('director :: initializing actor command', d.getVerb().verb);
+			this.emit(KCL.Director.Events.DirectionInit, d);
 			d.getVerb().getHandler().call(this, d);
 		}, this).value();		
 	}
 
 	SceneDirector.prototype.updateStageDirections = function() {
 		_(this.scene.commands)
-		.filter(function(d) { return d.state.status === KCL.Director.DirectionStates.Init ||
-									 d.state.status === KCL.Director.DirectionStates.Waiting })
+		.filter(function(d) { return (d.state.status === KCL.Director.DirectionStates.Init && !this.isAfterCommand(d)) ||
+									 d.state.status === KCL.Director.DirectionStates.Waiting }, this)
 		.each(function(d) {
 			this.debug('director :: executing scene command', d.getVerb().verb);
 			d.getVerb().getHandler().call(this, d);
@@ -818,11 +2023,25 @@ KCL.Director = KCL.Director || {};
 
 	}
 
+	// Scene commands chained with THEN, e.g. FADE OUT THEN FADE IN, wait for
+	// the one before them to finish.
+	SceneDirector.prototype.isAfterCommand = function(d) {
+		var previous = d.getPrevious();
+		return !d.isAsync() && !!previous && _.contains(this.scene.commands, previous);
+	}
+
 	SceneDirector.prototype.tick = function() {
+		// end any directions which have run their course
+		this.updateDurations();
+
+		this.updateCamera();
+
 		if (this.scene.directions.length > 0) {
+			// end any directions whose conditions are met
+			this.checkConditions();
+		}
 
-			// clean up any directions which are finished
-			this.cleanUpStageDirections();
+		if (this.scene.directions.length > 0) {
 
 			// clean up completed actionStates
 			this.cleanUpActionStates();
@@ -841,102 +2060,457 @@ KCL.Director = KCL.Director || {};
 
 		}
 
-		if (this.scene.commands.length > 0) {
-
-			// execute scene commands waiting execution
-			this.updateStageDirections();
+		if (this.scene.commands.length > 0) {
+
+			// clean up any scene commands which are finished
+			this.cleanUpStageDirections();
+
+			// execute scene commands waiting execution
+			this.updateStageDirections();
+
+		}
+
+		this.regatherFollowers();
+
+		if (this.scene.wait) {
+			this.stage.wait(1);
+		}
+
+		this.settleHandles();
+
+		// let everyone know once the last of the scene's directions is done
+		var idle = !_.any(this.scene.directions) && !_.any(this.scene.commands);
+		if (idle && !this._idle)
+			this.emit(KCL.Director.Events.SceneIdle);
+		this._idle = idle;
+	}
+
+	SceneDirector.prototype.actorTick = function(actor) {
+		var current = actor.state.current();
+		if (current && 
+			(
+				current.state.getStatus() === KCL.Director.DirectionStates.Running ||
+				current.state.getStatus() === KCL.Director.DirectionStates.Waiting
+				)
+			) {
+			var actionState = current.state.actionState(actor);
+			if (actionState.getStatus() != KCL.Director.ActionStates.Done) {
+				current.state.setStatus(KCL.Director.DirectionStates.Waiting);
+				actionState.setStatus(KCL.Director.ActionStates.Triggered);
+			}
+		}
+	}
+
+	// Returns an actor, or several for a group.
+	SceneDirector.prototype.getActor = function(target) {
+		var actor = KCL.Director.Director.prototype.getActor.apply(this, arguments);
+		if (!actor) {
+			if (this.isGroup(target)) {
+				return _(this.getSpecialTarget(target))
+					.filter(function(t) { return t.isActor(); })
+					.map(function(t) { return t.getActor(); })
+					.value();
+			}
+
+			var gameCharacter = this.getGameActor(target);
+			if (_.isArray(gameCharacter)) {
+				return _.map(gameCharacter, function(c) { return this.actorFor(c, this.characterName(c)); }, this);
+			}
+			else if (gameCharacter) {
+				return this.actorFor(gameCharacter, KCL.Director.unquote(target).toUpperCase());
+			} 
+			else return undefined;
+		}
+		else return actor;
+	}
+
+	// The scene's actor for a game character, cast on first use.
+	SceneDirector.prototype.actorFor = function(gameCharacter, name) {
+		var actor = this.scene.getActorForCharacter(gameCharacter);
+		if (!actor) {
+			actor = this.stage.vehicleType(gameCharacter)
+				? new VehicleActor(gameCharacter, name, this.stage)
+				: new SceneActor(gameCharacter, name, this.stage);
+			this.scene.setActorForCharacter(gameCharacter, actor);
+		}
+		return actor;
+	}
+
+	SceneDirector.prototype.getEveryone = function() {
+		return _.map([this.stage.player()].concat(this.stage.events()), function(c) {
+			return this.actorFor(c, this.characterName(c));
+		}, this);
+	}
+
+	// What a character is called when it wasn't named by whoever found it.
+	SceneDirector.prototype.characterName = function(gameCharacter) {
+		if (this.stage.isPlayer(gameCharacter)) return 'PLAYER';
+		if (this.stage.vehicleType(gameCharacter)) return this.stage.vehicleType(gameCharacter);
+		var index = this.stage.followerIndex(gameCharacter);
+		return index ? 'FOLLOWER ' + index : this.stage.eventName(gameCharacter).toUpperCase();
+	}
+
+	// Followers stop chasing the player while they're being directed and the
+	// party gathers back up once none of them are.
+	SceneDirector.prototype.detach = function(actor) {
+		if (this.stage.followerIndex(actor.actor) && !_.contains(this._detached, actor)) {
+			this.debug('director :: detaching', actor.getName());
+			this._detached.push(actor);
+		}
+	}
+
+	SceneDirector.prototype.isDetached = function(gameCharacter) {
+		return _.any(this._detached, function(actor) { return actor.actor === gameCharacter; });
+	}
+
+	SceneDirector.prototype.regatherFollowers = function() {
+		var free = _.remove(this._detached, function(actor) { return !_.any(actor.state.directions); });
+		if (_.any(free) && !_.any(this._detached)) {
+			this.debug('director :: gathering followers');
+			this.stage.gatherFollowers();
+		}
+	}
+
+	// Whether the Director has the camera rather than the player.
+	SceneDirector.prototype.isCameraDirected = function() {
+		return !!this._camera;
+	}
+
+	// Scrolls the display toward the camera's target a step a frame. A
+	// FOCUS stays locked on its target once it gets there.
+	SceneDirector.prototype.updateCamera = function() {
+		var camera = this._camera;
+		if (!camera) return;
+
+		var to = this.cameraDestination(camera.target);
+		var dx = to.x - this.stage.displayX();
+		var dy = to.y - this.stage.displayY();
+		var distance = Math.sqrt(dx*dx + dy*dy);
+		var step = Math.pow(2, camera.speed) / 256;
+
+		if (distance <= step || (camera.focus && camera.settled)) {
+			this.stage.setDisplayPos(to.x, to.y);
+			camera.settled = true;
+		} else {
+			this.stage.setDisplayPos(this.stage.displayX() + dx/distance*step, this.stage.displayY() + dy/distance*step);
+		}
+	}
+
+	// The display position centering on a target, as far as the map edges
+	// allow. Actors are followed mid-step.
+	SceneDirector.prototype.cameraDestination = function(target) {
+		var at = target.isActor()
+			? this.stage.realPosition(target.getActor().actor)
+			: target.coords();
+		var x = at.x - (this.stage.screenTileX() - 1) / 2;
+		var y = at.y - (this.stage.screenTileY() - 1) / 2;
+		return {
+			x: Math.max(0, Math.min(x, this.stage.width() - this.stage.screenTileX())),
+			y: Math.max(0, Math.min(y, this.stage.height() - this.stage.screenTileY()))
+		};
+	}
+
+	SceneDirector.prototype.getActorsNamed = function(pattern) {
+		var re = new RegExp('^' + _.map(pattern.split('*'), _.escapeRegExp).join('.*') + '$');
+		return _.filter(this.getEveryone(), function(actor) { return re.test(actor.getName()); });
+	}
+
+	// Groups are remembered by who's in them and found afresh each time, so
+	// they keep working from one scene to the next.
+	SceneDirector.prototype.defineGroup = function(name, targets) {
+		var members = _.map(targets, function(t) { return t.isActor() ? t.getActor().getName() : t; });
+		this._groups[name.toUpperCase()] = true;
+		this.defineSpecialTarget(name, function() {
+			return _(members)
+				.map(function(member) {
+					if (member instanceof KCL.Director.Target) return member;
+					return _.map([].concat(this.getActor(member) || []), KCL.Director.Target.prototype.fromActor);
+				}, this)
+				.flatten()
+				.value();
+		});
+	}
+
+	SceneDirector.prototype.isGroup = function(name) {
+		return !!this._groups[name] && this.isSpecialTarget(name);
+	}
+
+
+	SceneDirector.prototype.getTarget = function(target) {
+		var t = KCL.Director.Director.prototype.getTarget.apply(this, arguments);
+		if (!t) {    
+			if (this.isPlace(target) || this.isGroup(target))
+				return this.getSpecialTarget(target);
+
+			if (this.isCoordinates(target)) {
+				return this.parseCoordinates(target).target;
+			} else {
+				var actor = this.getActor(target);
+				return _.isArray(actor)
+					? _.map(actor, KCL.Director.Target.prototype.fromActor)
+					: KCL.Director.Target.prototype.fromActor(actor);
+			}
+		}
+		else return t;
+	}
+
+	SceneDirector.prototype.targetError = function(target) {
+		if (this.isCoordinates(target))
+			return this.parseCoordinates(target).error;
+		if (/^#/.test(target) && !/^#\d+$/.test(target))
+			return 'an event ID must be # and a number';
+	}
+
+	SceneDirector.prototype.isCoordinates = function(target) {
+		return /^\[/.test(target);
+	}
+
+	// Coordinates are [x,y] where each of x and y is one of
+	//   12   that tile
+	//   +1   relative to the actor (-2 too)
+	//   V12  the value of variable 12, read each time it's needed
+	// Returns { target: Target } or { error: message }.
+	SceneDirector.prototype.parseCoordinates = function(expr) {
+		var matches = expr.match(/^\[([^,]*),([^,]*)\]$/);
+		if (!matches)
+			return { error: 'coordinates must be [x,y]' };
+
+		var parts = _.map([matches[1], matches[2]], function(part) {
+			part = part.trim();
+			var m;
+			if ((m = part.match(/^([+-])(\d+)$/)))
+				return { value: parseInt(m[2], 10) * (m[1] === '-' ? -1 : 1), relative: true };
+			if ((m = part.match(/^\d+$/)))
+				return { value: parseInt(part, 10), relative: false };
+			if ((m = part.match(/^V(\d+)$/i)))
+				return { value: _.bind(this.getVariable, this, parseInt(m[1], 10)), relative: false };
+		}, this);
+
+		var bad = _.findIndex(parts, _.isUndefined);
+		if (bad !== -1)
+			return { error: 'a coordinate must be a number, +/- a number or V and a variable ID' };
+
+		var x = parts[0], y = parts[1];
+		return { target: x.relative || y.relative 
+			? KCL.Director.Target.prototype.fromRelative(x.value, y.value, x.relative, y.relative)
+			: KCL.Director.Target.prototype.fromCoordinates(x.value, y.value) };
+	}
+
+	SceneDirector.prototype.getSwitch = function(id) {
+		return this.stage.switchValue(id);
+	}
+
+	SceneDirector.prototype.getVariable = function(id) {
+		return this.stage.variableValue(id);
+	}
+
+	SceneDirector.prototype.getGameActor = function(target) {
+		if (this.isPlace(target) || this.isGroup(target)) return undefined; // not a character
+		return this.isSpecialTarget(target) 
+		? this.getSpecialTarget(target)
+		: this.getGameEvent(target);
+	}
+
+	// Marks are named places on the map. Wherever the mark was set relative
+	// to, it stays put once it's been defined.
+	SceneDirector.prototype.defineMark = function(name, target) {
+		var mark = KCL.Director.Target.prototype.fromCoords(target.coords());
+		this.debug('director :: defining mark', name, mark.coords());
+		this._marks[name.toUpperCase()] = true;
+		this.defineSpecialTarget(name, function() { return mark; });
+	}
+
+	SceneDirector.prototype.isMark = function(name) {
+		return !!this._marks[name] && this.isSpecialTarget(name);
+	}
+
+	// Special targets which are somewhere rather than someone.
+	SceneDirector.prototype.isPlace = function(name) {
+		return this.isMark(name) || this.isLandmark(name) || this.isArea(name);
+	}
+
+	// A landmark is found afresh each time, so SCREEN_CENTER is wherever the
+	// screen is at the time.
+	SceneDirector.prototype.defineLandmark = function(name, at, bounds) {
+		var points = _.isArray(at[0]) ? at : [at];
+		this._landmarks[name] = true;
+		this.defineSpecialTarget(name, function() {
+			var b = bounds.call(this);
+			var tiles = _.map(points, function(point) {
+				return new KCL.Director.Coords(
+					b.x + Math.floor(point[0] * (b.width - 1)),
+					b.y + Math.floor(point[1] * (b.height - 1)));
+			});
+			return tiles.length > 1
+				? KCL.Director.Target.prototype.fromTiles(tiles)
+				: KCL.Director.Target.prototype.fromCoords(tiles[0]);
+		});
+	}
+
+	SceneDirector.prototype.isLandmark = function(name) {
+		return !!this._landmarks[name] && this.isSpecialTarget(name);
+	}
+
+	SceneDirector.prototype.mapBounds = function() {
+		return { x: 0, y: 0, width: this.stage.width(), height: this.stage.height() };
+	}
+
+	// the tiles currently on screen
+	SceneDirector.prototype.screenBounds = function() {
+		return {
+			x: Math.round(this.stage.displayX()),
+			y: Math.round(this.stage.displayY()),
+			width: Math.floor(this.stage.screenTileX()),
+			height: Math.floor(this.stage.screenTileY())
+		};
+	}
+
+	// REGION n and TERRAIN n
+	SceneDirector.prototype.isArea = function(name) {
+		var indexed = this.indexedTarget(name);
+		return _.contains(['REGION', 'TERRAIN'], indexed.name) && this.isSpecialTarget(name);
+	}
+
+	// An area target covering the tiles of REGION or TERRAIN id.
+	SceneDirector.prototype.area = function(kind, id) {
+		var tiles = this.areaTiles()[kind][id];
+		return tiles ? KCL.Director.Target.prototype.fromTiles(tiles) : undefined;
+	}
+
+	// The map's tiles by region and terrain tag, gathered the first time
+	// they're needed on each map rather than on every target.
+	SceneDirector.prototype.areaTiles = function() {
+		if (!this._areas) {
+			var areas = this._areas = { REGION: {}, TERRAIN: {} };
+			for (var y = 0; y < this.stage.height(); y++) {
+				for (var x = 0; x < this.stage.width(); x++) {
+					var coords = new KCL.Director.Coords(x, y);
+					var region = this.stage.regionId(x, y);
+					var terrain = this.stage.terrainTag(x, y);
+					(areas.REGION[region] = areas.REGION[region] || []).push(coords);
+					(areas.TERRAIN[terrain] = areas.TERRAIN[terrain] || []).push(coords);
+				}
+			}
+		}
+		return this._areas;
+	}
+
+	// Picks the closest tile of an area the actor can get to which nobody
+	// else is already headed for. If it can't get to any, the closest as the
+	// crow flies.
+	SceneDirector.prototype.claimTile = function(area, actor) {
+		var claims = this.scene.claims;
+		var here = actor.coords();
+		var tiles = _.reject(area.getTiles(), function(tile) {
+			var claimant = claims[tile.x + ',' + tile.y];
+			return claimant && claimant !== actor;
+		});
+		if (!_.any(tiles)) tiles = area.getTiles();
 
-		}
+		var tile = this.nearestReachable(actor, tiles) || _.min(tiles, function(tile) {
+			return Math.abs(tile.x - here.x) + Math.abs(tile.y - here.y);
+		});
 
-		if (this.scene.wait) {
-			$gameMap._interpreter.wait(1);
-		}
+		this.releaseTile(actor);
+		claims[tile.x + ',' + tile.y] = actor;
+		this.debug('director :: claiming', tile, actor.getName());
+		return KCL.Director.Target.prototype.fromCoords(tile);
 	}
 
-	SceneDirector.prototype.actorTick = function(actor) {
-		var current = actor.state.current();
-		if (current && 
-			(
-				current.state.getStatus() === KCL.Director.DirectionStates.Running ||
-				current.state.getStatus() === KCL.Director.DirectionStates.Waiting
-				)
-			) {
-			var actionState = current.state.actionState(actor);
-			if (actionState.getStatus() != KCL.Director.ActionStates.Done) {
-				current.state.setStatus(KCL.Director.DirectionStates.Waiting);
-				actionState.setStatus(KCL.Director.ActionStates.Triggered);
-			}
-		}
+	SceneDirector.prototype.releaseTile = function(actor) {
+		var claims = this.scene.claims;
+		_.each(_.keys(claims), function(key) {
+			if (claims[key] === actor) delete claims[key];
+		});
 	}
 
-	SceneDirector.prototype.getActor = function(target) {
-		var actor = KCL.Director.Director.prototype.getActor.apply(this, arguments);
-		if (!actor) {
-			var gameCharacter = this.getGameActor(target);
-			if (gameCharacter) {
-				var actor = this.scene.getActorForCharacter(gameCharacter);
-				if (!actor) {
-					actor = new SceneActor(gameCharacter, target);
-					this.scene.setActorForCharacter(gameCharacter, actor);
+	// Breadth-first search out from the actor for the first of the tiles it
+	// can walk to.
+	SceneDirector.prototype.nearestReachable = function(actor, tiles) {
+		var wanted = _.indexBy(tiles, function(tile) { return tile.x + ',' + tile.y; });
+		var start = actor.coords();
+		var visited = {};
+		var queue = [start];
+		visited[start.x + ',' + start.y] = true;
+
+		while (queue.length > 0) {
+			var coords = queue.shift();
+			var key = coords.x + ',' + coords.y;
+			if (wanted[key]) return wanted[key];
+
+			_.each([2, 4, 6, 8], function(d) {
+				var next = coords.shift(d === 6 ? 1 : d === 4 ? -1 : 0, d === 2 ? 1 : d === 8 ? -1 : 0);
+				var nextKey = next.x + ',' + next.y;
+				if (!visited[nextKey] && actor.actor.canPass(coords.x, coords.y, d)) {
+					visited[nextKey] = true;
+					queue.push(next);
 				}
-				return actor;
-			} 
-			else return undefined;
+			});
 		}
-		else return actor;
 	}
 
-
-	SceneDirector.prototype.getTarget = function(target) {
-		var t = KCL.Director.Director.prototype.getTarget.apply(this, arguments);
-		if (!t) {    
-			var matches = target.match(/[(\d),(\d)]/);
-			if (matches && matches.length==2) {
-				console.log('target parses to coordinate string',matches);
-				var x = parseInt(matches[0]);
-				var y = parseInt(matches[1]);
-				console.log('coordinates:',x,y);
-				return KCL.Director.Target.prototype.fromCoordinates(x,y);
-			} else {
-				return KCL.Director.Target.prototype.fromActor(this.getActor(target));
-			}
-		}
-		else return t;
+	// Called whenever the stage's map is (re)loaded.
+	SceneDirector.prototype.loadMap = function() {
+		this._areas = undefined;
+		this.loadMarks();
 	}
 
-	SceneDirector.prototype.getGameActor = function(target) {
-		return this.isSpecialTarget(target) 
-		? this.getSpecialTarget(target)
-		: this.getGameEvent(target);
+	// Load marks from the stage's map notes, e.g. <mark:STAGE_LEFT 3 12>.
+	// Marks from the previous map's notes are forgotten.
+	SceneDirector.prototype.loadMarks = function() {
+		_.each(this._mapMarks, function(name) {
+			this.removeSpecialTarget(name);
+			delete this._marks[name];
+		}, this);
+		this._mapMarks = [];
+
+		var note = this.stage.note() || '';
+		var re = /<mark:\s*(\w+)\s+(\d+)\s+(\d+)\s*>/gi;
+		var matches;
+		while ((matches = re.exec(note))) {
+			var name = matches[1].toUpperCase();
+			this.defineMark(name, KCL.Director.Target.prototype.fromCoordinates(parseInt(matches[2]), parseInt(matches[3])));
+			this._mapMarks.push(name);
+		}
 	}
 
+	// #42 for event 42, otherwise by name. Names with spaces are quoted,
+	// e.g. "Old Man".
 	SceneDirector.prototype.getGameEvent = function(target) {
-		var matches = target.match(/#(\d)/);
-		if (matches && matches.length==1) {
-			var eventid = matches[0];
-			return $gameMap.event(eventid);
+		var matches = target.match(/^#(\d+)$/);
+		if (matches) {
+			return this.stage.event(parseInt(matches[1], 10));
 		} else {
-			return _.find($gameMap.events(), function(e) { return e.event().name.toUpperCase() == target });
+			var name = KCL.Director.unquote(target).toUpperCase();
+			return _.find(this.stage.events(), function(e) { return this.stage.eventName(e).toUpperCase() == name }, this);
 		}
 	}
 
+	// Returns the diagnostics for every command given.
 	SceneDirector.prototype.fromString = function(str) {
 		var strings = _.isArray(str) ? str : [str];
-		_.each(strings, function(string) {
-			var context = KCL.Director.Context.prototype.fromString(string);
-			var directTo = context.current() === 'DIRECT' 
-				? KCL.Director.DirectedTo.Actor
-				: KCL.Director.DirectedTo.Director;
-			context.directedTo(directTo);
-			context.advance();
-			KCL.Director.$.direct(context);
-		})
+		return _(strings)
+			.map(function(string) {
+				var context = KCL.Director.Context.prototype.fromString(string);
+				var directTo = context.current() === 'DIRECT' 
+					? KCL.Director.DirectedTo.Actor
+					: KCL.Director.DirectedTo.Director;
+				context.directedTo(directTo);
+				context.advance();
+				return this.direct(context);
+			}, this)
+			.flatten()
+			.value();
 	}
 
-	SceneDirector.prototype.direct = function(context) {
+	// Parses and assigns a context along with anything chained onto it.
+	// Returns the diagnostics for the whole chain.
+	SceneDirector.prototype.direct = function(context, previous) {
+		var Severity = KCL.Director.Severity;
 
 		if (!context.current()) {
-			console.log('Failed to process direction "%s" because nothing was supplied.', context.args().join(" "));
+			this.diagnose(context, Severity.Error, 'nothing was supplied', '', 0);
+			return context.getDiagnostics();
 		}
 		
 		var toDirector = context.directedTo() === KCL.Director.DirectedTo.Director;
@@ -948,24 +2522,81 @@ KCL.Director = KCL.Director || {};
 		toDirector = context.directedTo() === KCL.Director.DirectedTo.Director; // this can change during parse		
 
 		if (direction.hasVerb() && (toDirector||direction.hasActor())) {
-			console.log('director :: parse complete', direction);
-			this.scene.assign(direction);
+			this.debug('director :: parse complete', direction);
+			this.assign(direction, previous);
 		} else {
 			if (!toDirector && !direction.hasActor()) 
-				console.warn('Failed to process direction "%s" because an actor could not be identified', context.args().join(" "));
+				this.diagnose(context, Severity.Error, 'an actor could not be identified', context.args().join(" "), 0);
 			else if (!direction.hasVerb()) 
-				console.warn('Failed to process direction "%s" because no valid verb was identified.', context.args().join(" "));
-			return;
+				this.diagnose(context, Severity.Error, 'no valid verb was identified', context.args().join(" "), 0);
+			return context.getDiagnostics();
 		}
 
 		if (context.hasMore()) {
-			this.direct(context.slice()); // start a new context, carry in our current actors, set state to VERB.
+			// start a new context, carry in our current actors, set state to VERB.
+			return context.getDiagnostics().concat(this.direct(context.slice(), direction));
+		}
+
+		return context.getDiagnostics();
+	}
+
+	// Hands a direction to the scene, chained after the previous one if given.
+	SceneDirector.prototype.assign = function(direction, previous) {
+		if (previous) {
+			previous.setNext(direction);
+			direction.setPrevious(previous);
+		}
+
+		if (direction.doesRepeat()) {
+			// keep untouched copies of the chain around to replay
+			direction.getRepeat().setChain(_.invoke(direction.chainSegment(), 'clone'));
+		}
+
+		if (direction.isInterrupt()) {
+			// run alongside whatever is playing rather than after it
+			var toActor = direction.hasActor() && direction.getContext().directedTo() === KCL.Director.DirectedTo.Actor;
+			var playing = toActor ? this.pendingDirections() : this.pendingSceneDirections();
+			direction.setAsync(true);
+			this.scene.cutIn(direction, playing.value().length);
+		} else if (previous && previous.isInterrupt() && this.isAssigned(previous)) {
+			// whatever is chained onto a direction which cut in follows it
+			this.scene.follow(direction, previous);
+		} else {
+			this.scene.assign(direction);
 		}
+		if (this._handle) this._handle.add(direction);
+		_.each(direction.getActors().concat(direction.getWith()), this.detach, this);
+		// the scene goes idle again once this is done, even if it's immediate
+		this._idle = false;
+
+		if (direction.getVerb().isImmediate())
+			direction.getVerb().getHandler().call(this, direction);
+	}
+
+	SceneDirector.prototype.isAssigned = function(direction) {
+		return _.contains(this.scene.directions, direction) || _.contains(this.scene.commands, direction);
+	}
+
+	// Swap the backend the Director uses to find and drive characters. By
+	// default this is the MV runtime (MVStage) but anything implementing the
+	// same handful of methods will do; see KCL_Director_Headless.js.
+	SceneDirector.prototype.setStage = function(stage) {
+		this.stage = stage;
+		this.loadMap();
+	}
 
+	SceneDirector.prototype.getStage = function() {
+		return this.stage;
 	}
 
 	SceneDirector.prototype.changeScene = function() {
+		// whatever was still running is gone with the old scene
+		_.invoke(this._handles.splice(0), 'reject', new CancelError('the map changed'));
 		this.scene = new SceneState();
+		this._idle = true;
+		this._camera = null;
+		if (_.any(this._detached.splice(0)))
+			this.stage.gatherFollowers();
 	}
 
 	SceneDirector.prototype.describeScene = function() {
@@ -1021,8 +2652,9 @@ KCL.Director = KCL.Director || {};
 		}
 	}
 
-	function SceneActor(actor, name) {
+	function SceneActor(actor, name, stage) {
 		KCL.Director.Actor.call(this, actor, name);
+		this.stage = stage;
 	}
 
 	SceneActor.prototype = Object.create(KCL.Director.Actor.prototype);
@@ -1040,10 +2672,19 @@ KCL.Director = KCL.Director || {};
 	SceneActor.prototype.id = function() {
 		var id = this.actor._eventId;
 		if (_.isUndefined(id)) {
-			if (this.actor instanceof Game_Player) {
+			if (this.stage.isPlayer(this.actor)) {
 				return -1;
 			}
+			var index = this.stage.followerIndex(this.actor);
+			if (index) {
+				return -1 - index;
+			}
 		}
+		return id;
+	}
+
+	SceneActor.prototype.direction = function() {
+		return this.actor.direction();
 	}
 
 	SceneActor.prototype.turnToward = function(target) {
@@ -1070,6 +2711,531 @@ KCL.Director = KCL.Director || {};
 		}
 	}
 
+	// A vehicle's actor. While someone's aboard, directing the vehicle directs
+	// them, as the vehicle only goes wherever its driver does.
+	function VehicleActor(vehicle, name, stage) {
+		SceneActor.call(this, vehicle, name, stage);
+	}
+
+	VehicleActor.prototype = Object.create(SceneActor.prototype);
+	Object.defineProperty(VehicleActor.prototype, 'constructor', { 
+		enumerable: false, 
+		value: VehicleActor 
+	});
+
+	Object.defineProperty(VehicleActor.prototype, 'actor', {
+		get: function() { return this.stage.driver(this.vehicle) || this.vehicle; },
+		set: function(vehicle) { this.vehicle = vehicle; }
+	});
+
+	VehicleActor.prototype.getType = function() {
+		return this.stage.vehicleType(this.vehicle);
+	}
+
+	VehicleActor.prototype.id = function() {
+		return -100 - _.indexOf(Vehicles, this.getType());
+	}
+
+	// A thenable handle on the directions started by SceneDirector.run(). It
+	// resolves once all of them are done and rejects with a CancelError if
+	// they're cancelled, or a ParseError if the commands had errors.
+	//
+	//   KCL.Director.$.run('DIRECT PLAYER TO MOVE TO DOOR')
+	//     .then(function() { ... });
+	function DirectionHandle(director) {
+		var self = this;
+		this.director = director;
+		this.directions = [];
+		this.diagnostics = [];
+		this._settled = false;
+		this._promise = new Promise(function(resolve, reject) {
+			self._resolve = resolve;
+			self._reject = reject;
+		});
+		// only those who subscribed hear about a rejection
+		this._promise['catch'](function() {});
+	}
+
+	DirectionHandle.prototype.then = function(onDone, onFailed) {
+		return this._promise.then(onDone, onFailed);
+	}
+
+	DirectionHandle.prototype['catch'] = function(onFailed) {
+		return this._promise.then(undefined, onFailed);
+	}
+
+	DirectionHandle.prototype.add = function(direction) {
+		this.directions.push(direction);
+	}
+
+	// follow a direction which was replaced, e.g. by its repeats
+	DirectionHandle.prototype.replace = function(direction, directions) {
+		var index = _.indexOf(this.directions, direction);
+		if (index >= 0)
+			Array.prototype.splice.apply(this.directions, [index, 1].concat(directions));
+	}
+
+	DirectionHandle.prototype.isDone = function() {
+		var scene = this.director.scene;
+		return _.every(this.directions, function(d) {
+			return d.state.getStatus() === KCL.Director.DirectionStates.Done ||
+				(!_.contains(scene.directions, d) && !_.contains(scene.commands, d));
+		});
+	}
+
+	DirectionHandle.prototype.isSettled = function() {
+		return this._settled;
+	}
+
+	DirectionHandle.prototype.resolve = function() {
+		if (this._settled) return;
+		this._settled = true;
+		this._resolve(this.directions);
+	}
+
+	DirectionHandle.prototype.reject = function(error) {
+		if (this._settled) return;
+		this._settled = true;
+		this._reject(error);
+	}
+
+	// Halt everything this handle started.
+	DirectionHandle.prototype.cancel = function() {
+		if (this._settled) return;
+		this.director.haltDirections(this.directions);
+		_.pull(this.director._handles, this);
+		this.reject(new CancelError('the directions were cancelled'));
+	}
+
+	function CancelError(message) {
+		this.name = 'CancelError';
+		this.message = message;
+		this.stack = (new Error(this.message)).stack;
+	}
+
+	CancelError.prototype = Object.create(Error.prototype);
+	CancelError.prototype.constructor = CancelError;
+
+	// Builds directions in code rather than from a string:
+	//
+	//   KCL.Director.direct('PLAYER').verb('RUN').to(3,12).adverb('QUICKLY')
+	//     .then('FACE').toward('GUARD').commit();
+	//
+	// Each call adds to the current direction; then() and while() start
+	// the next one in the chain, like THEN and WHILE. commit() hands them all
+	// to the scene and returns a DirectionHandle. Names which can't be found
+	// throw straight away.
+	function DirectionBuilder(director, actors) {
+		this.director = director;
+		this.directions = [];
+		this._connector = 'AND';
+		this.next(_.map(actors, this.actor, this), false);
+	}
+
+	DirectionBuilder.prototype.actor = function(name) {
+		var actor = name instanceof KCL.Director.Actor ? name : this.director.getActor(String(name).toUpperCase());
+		if (!actor) throw new Error('director :: unknown actor "' + name + '"');
+		return actor;
+	}
+
+	DirectionBuilder.prototype.target = function(x, y) {
+		if (x instanceof KCL.Director.Target) return x;
+		if (_.isFinite(x) && _.isFinite(y)) return KCL.Director.Target.prototype.fromCoordinates(x, y);
+		var target = this.director.getTarget(String(x).toUpperCase());
+		if (!target) throw new Error('director :: unknown target "' + x + '"');
+		return target;
+	}
+
+	// start a new direction for the given actors
+	DirectionBuilder.prototype.next = function(actors, async) {
+		var context = new KCL.Director.Context([]);
+		context.directedTo(_.any(actors) 
+			? KCL.Director.DirectedTo.Actor
+			: KCL.Director.DirectedTo.Director);
+		this.direction = new KCL.Director.Direction(context);
+		this.direction.setActors(actors);
+		this.direction.setAsync(async);
+		this.directions.push(this.direction);
+		return this;
+	}
+
+	DirectionBuilder.prototype.verb = function(name) {
+		var verb = this.director.getVerb(String(name).toUpperCase());
+		if (!verb || verb.isMacro()) throw new Error('director :: unknown verb "' + name + '"');
+		this.direction.setVerb(verb);
+		this.direction.setAsync(this.direction.isAsync() || verb.defaultAsync);
+		return this;
+	}
+
+	DirectionBuilder.prototype.adverb = function(adverb) {
+		this.direction.addAdverb(adverb.toUpperCase());
+		return this;
+	}
+
+	// to(x, y), to('GUARD') or to(target)
+	DirectionBuilder.prototype.to = function(x, y) {
+		this.direction.addTarget(this.target(x, y));
+		return this;
+	}
+
+	// preposition('LEFT', 3, 'SPACES') or preposition('TOWARD', 'GUARD')
+	DirectionBuilder.prototype.preposition = function(name, amount, unit) {
+		var preposition = this.director.getPreposition(name.toUpperCase());
+		if (!preposition) throw new Error('director :: unknown preposition "' + name + '"');
+		var phrase = new KCL.Director.PrepositionalPhrase(preposition);
+		if (_.isFinite(amount)) {
+			phrase.setAmount(amount);
+			phrase.setUnit((unit || 'SPACES').toUpperCase());
+		} else if (!_.isUndefined(amount)) {
+			phrase.addTarget(this.target(amount, unit));
+		}
+		this.direction.addPreposition(phrase);
+		return this;
+	}
+
+	DirectionBuilder.prototype.toward = function(x, y) {
+		return this.preposition('TOWARD', x, y);
+	}
+
+	DirectionBuilder.prototype.away = function(x, y) {
+		return this.preposition('AWAY', x, y);
+	}
+
+	DirectionBuilder.prototype['with'] = function(name) {
+		this.direction.addWith(this.actor(name));
+		return this;
+	}
+
+	DirectionBuilder.prototype['for'] = function(amount, unit) {
+		this.direction.setDuration(this.duration(amount, unit));
+		return this;
+	}
+
+	DirectionBuilder.prototype.after = function(amount, unit) {
+		var delay = new KCL.Director.Delay();
+		if (amount instanceof KCL.Director.Condition)
+			delay.setCondition(amount);
+		else
+			delay.setDuration(this.duration(amount, unit));
+		this.direction.setDelay(delay);
+		return this;
+	}
+
+	DirectionBuilder.prototype.duration = function(amount, unit) {
+		var duration = new KCL.Director.Duration();
+		duration.setDuration(amount);
+		duration.setUnit((unit || 'SECONDS').toUpperCase());
+		if (!duration.isComplete()) throw new Error('director :: unknown duration "' + amount + ' ' + unit + '"');
+		return duration;
+	}
+
+	// until('PLAYER', 'IS', 'DONE'), until('GUARD', 'NEAR', 'KING'),
+	// until('SWITCH', 12, 'IS', 'ON'), until('VARIABLE', 4, 'GREATERTHAN', 10)
+	// or until(condition). Further untils are joined with AND unless or() is
+	// called in between.
+	DirectionBuilder.prototype.until = function(subject) {
+		var condition = subject instanceof KCL.Director.Condition 
+			? subject 
+			: this.condition.apply(this, arguments);
+
+		if (this.direction.hasCondition())
+			this.direction.getCondition().last().next(this._connector, condition);
+		else
+			this.direction.setCondition(condition);
+
+		this._connector = 'AND';
+		return this;
+	}
+
+	DirectionBuilder.prototype.or = function() {
+		this._connector = 'OR';
+		return this;
+	}
+
+	DirectionBuilder.prototype.condition = function(subject) {
+		var Subjects = KCL.Director.ConditionSubjects;
+		var Comparator = KCL.Director.ConditionComparator;
+		var args = _.toArray(arguments);
+		var condition = new KCL.Director.Condition();
+		condition.setDirector(this.director);
+
+		subject = String(args.shift()).toUpperCase();
+		if (subject === Subjects.Switch || subject === Subjects.Variable) {
+			condition.setSubject(subject);
+			condition.setId(args.shift());
+		} else {
+			condition.setTarget(this.target(subject));
+		}
+
+		condition.setComparator(String(args.shift()).toUpperCase());
+		var comparator = condition.getComparator();
+		var value = args.shift();
+		if (comparator === Comparator.NEAR || comparator === Comparator.REACHES)
+			condition.setValue(this.target(value, args.shift()));
+		else
+			condition.setValue(_.isString(value) ? value.toUpperCase() : String(value));
+
+		if (!condition.isComplete()) throw new Error('director :: incomplete condition "' + _.toArray(arguments).join(' ') + '"');
+		return condition;
+	}
+
+	// repeat(3) or repeat('FOREVER')
+	DirectionBuilder.prototype.repeat = function(times) {
+		var repeat = new KCL.Director.Repeat();
+		repeat.setAmount(_.isString(times) ? times.toUpperCase() : times);
+		repeat.setUnit('TIMES');
+		this.direction.setRepeat(repeat);
+		return this;
+	}
+
+	// cut in front of whatever the actors are doing
+	DirectionBuilder.prototype.now = function() {
+		this.direction.setInterrupt(true);
+		return this;
+	}
+
+	// wait in line, even for a verb which would normally cut in
+	DirectionBuilder.prototype.queue = function() {
+		this.direction.setInterrupt(false);
+		return this;
+	}
+
+	// then('FACE') chains another verb for the same actors, then('KING',
+	// 'FACE') for someone else. Anything waiting on the builder as if it were
+	// a promise calls then(resolve, reject), which throws: commit() first.
+	DirectionBuilder.prototype.then = function(actorOrVerb, verb) {
+		if (_.isFunction(actorOrVerb))
+			throw new Error('director :: commit() the directions before waiting on them');
+		return this.chain(arguments, false);
+	}
+
+	// while('KING', 'FACE') runs alongside the previous direction
+	DirectionBuilder.prototype['while'] = function(actorOrVerb, verb) {
+		return this.chain(arguments, true);
+	}
+
+	DirectionBuilder.prototype.chain = function(args, async) {
+		var actors = args.length > 1 ? [this.actor(args[0])] : this.direction.getActors();
+		return this.next(actors, async).verb(_.last(args));
+	}
+
+	DirectionBuilder.prototype.commit = function() {
+		var directions = this.directions;
+		this.directions = [];
+		return this.director.handle(function() {
+			_.each(directions, function(direction, idx) {
+				if (!direction.hasVerb()) throw new Error('director :: a direction has no verb');
+				var problem = direction.getVerb().validate(this, direction);
+				if (problem) throw new Error('director :: ' + problem);
+				this.assign(direction, directions[idx-1]);
+			}, this);
+			return [];
+		});
+	}
+
+	// The stage is everything the Director needs from the game engine: where
+	// the characters are, what they're called and how to hold the interpreter.
+	// MVStage is the live RPG Maker MV implementation.
+	function MVStage() {
+	}
+
+	MVStage.prototype.player = function() {
+		return $gamePlayer;
+	}
+
+	MVStage.prototype.event = function(eventId) {
+		return $gameMap.event(eventId);
+	}
+
+	MVStage.prototype.events = function() {
+		return $gameMap.events();
+	}
+
+	MVStage.prototype.eventName = function(gameCharacter) {
+		return gameCharacter.event().name;
+	}
+
+	MVStage.prototype.isPlayer = function(gameCharacter) {
+		return gameCharacter instanceof Game_Player;
+	}
+
+	MVStage.prototype.followers = function() {
+		return $gamePlayer.followers().visibleFollowers();
+	}
+
+	// 1 for the first follower, 0 for anyone who isn't one
+	MVStage.prototype.followerIndex = function(gameCharacter) {
+		return gameCharacter instanceof Game_Follower ? gameCharacter._memberIndex : 0;
+	}
+
+	MVStage.prototype.gatherFollowers = function() {
+		$gamePlayer.gatherFollowers();
+	}
+
+	MVStage.prototype.width = function() {
+		return $gameMap.width();
+	}
+
+	MVStage.prototype.height = function() {
+		return $gameMap.height();
+	}
+
+	MVStage.prototype.displayX = function() {
+		return $gameMap.displayX();
+	}
+
+	MVStage.prototype.displayY = function() {
+		return $gameMap.displayY();
+	}
+
+	MVStage.prototype.screenTileX = function() {
+		return $gameMap.screenTileX();
+	}
+
+	MVStage.prototype.screenTileY = function() {
+		return $gameMap.screenTileY();
+	}
+
+	MVStage.prototype.regionId = function(x, y) {
+		return $gameMap.regionId(x, y);
+	}
+
+	MVStage.prototype.terrainTag = function(x, y) {
+		return $gameMap.terrainTag(x, y);
+	}
+
+	MVStage.prototype.vehicle = function(type) {
+		var vehicle = $gameMap.vehicle(type.toLowerCase());
+		return vehicle && vehicle._mapId === $gameMap.mapId() ? vehicle : undefined;
+	}
+
+	// BOAT, SHIP or AIRSHIP, or undefined for anything but a vehicle
+	MVStage.prototype.vehicleType = function(gameCharacter) {
+		return gameCharacter instanceof Game_Vehicle ? gameCharacter._type.toUpperCase() : undefined;
+	}
+
+	MVStage.prototype.driver = function(vehicle) {
+		return $gamePlayer.isInVehicle() && $gamePlayer.vehicle() === vehicle ? $gamePlayer : undefined;
+	}
+
+	// Getting on uses the player's position and facing just like pressing OK.
+	MVStage.prototype.getOnVehicle = function(gameCharacter) {
+		return this.isPlayer(gameCharacter) && !gameCharacter.isInVehicle() && gameCharacter.getOnVehicle();
+	}
+
+	// Fails where the vehicle can't land.
+	MVStage.prototype.getOffVehicle = function(gameCharacter) {
+		return this.isPlayer(gameCharacter) && gameCharacter.isInVehicle() && gameCharacter.getOffVehicle();
+	}
+
+	MVStage.prototype.isBoarding = function(gameCharacter) {
+		return this.isPlayer(gameCharacter) && (gameCharacter._vehicleGettingOn || gameCharacter._vehicleGettingOff);
+	}
+
+	// Who's talking: a party member's name and face, otherwise the event's
+	// <speaker:name> and <face:file index> notetags or just its name.
+	MVStage.prototype.speaker = function(gameCharacter) {
+		var member = this.isPlayer(gameCharacter) 
+			? $gameParty.leader() 
+			: gameCharacter instanceof Game_Follower ? gameCharacter.actor() : null;
+		if (member) 
+			return { name: member.name(), faceName: member.faceName(), faceIndex: member.faceIndex() };
+
+		var data = gameCharacter instanceof Game_Event ? gameCharacter.event() : { name: '', meta: {} };
+		var face = _.isString(data.meta.face) ? data.meta.face.trim().split(/\s+/) : [];
+		return {
+			name: _.isString(data.meta.speaker) ? data.meta.speaker.trim() : data.name,
+			faceName: face[0] || '',
+			faceIndex: parseInt(face[1], 10) || 0
+		};
+	}
+
+	// False if another message is still showing. MV has no name box, so the
+	// name goes on the first line.
+	MVStage.prototype.showMessage = function(speaker, lines) {
+		if ($gameMessage.isBusy()) return false;
+		$gameMessage.setFaceImage(speaker.faceName, speaker.faceIndex);
+		if (speaker.name) $gameMessage.add(speaker.name);
+		_.each(lines, function(line) { $gameMessage.add(line); });
+		return true;
+	}
+
+	MVStage.prototype.isMessageBusy = function() {
+		return $gameMessage.isBusy();
+	}
+
+	// An animation's ID from its ID or name, 0 if there's no such animation.
+	MVStage.prototype.animationId = function(idOrName) {
+		var id = parseInt(idOrName, 10);
+		if (String(id) === String(idOrName))
+			return $dataAnimations[id] ? id : 0;
+
+		var animation = _.find($dataAnimations, function(a) { 
+			return a && a.name.toUpperCase() === String(idOrName).toUpperCase(); 
+		});
+		return animation ? animation.id : 0;
+	}
+
+	// Where a character is drawn, part way between tiles while it moves
+	MVStage.prototype.realPosition = function(gameCharacter) {
+		return { x: gameCharacter._realX, y: gameCharacter._realY };
+	}
+
+	MVStage.prototype.setDisplayPos = function(x, y) {
+		$gameMap.setDisplayPos(x, y);
+	}
+
+	MVStage.prototype.fadeOut = function(frames) {
+		$gameScreen.startFadeOut(frames);
+	}
+
+	MVStage.prototype.fadeIn = function(frames) {
+		$gameScreen.startFadeIn(frames);
+	}
+
+	MVStage.prototype.tint = function(tone, frames) {
+		$gameScreen.startTint(tone, frames);
+	}
+
+	MVStage.prototype.flash = function(color, frames) {
+		$gameScreen.startFlash(color, frames);
+	}
+
+	MVStage.prototype.shake = function(power, speed, frames) {
+		$gameScreen.startShake(power, speed, frames);
+	}
+
+	// FADE, TINT, FLASH or SHAKE. A shake isn't over until it's back to rest.
+	MVStage.prototype.isScreenEffectPlaying = function(effect) {
+		switch (effect) {
+			case 'FADE':
+			return $gameScreen._fadeOutDuration > 0 || $gameScreen._fadeInDuration > 0;
+			case 'TINT':
+			return $gameScreen._toneDuration > 0;
+			case 'FLASH':
+			return $gameScreen._flashDuration > 0;
+			case 'SHAKE':
+			return $gameScreen._shakeDuration > 0 || $gameScreen.shake() !== 0;
+		}
+		return false;
+	}
+
+	MVStage.prototype.switchValue = function(id) {
+		return $gameSwitches.value(id);
+	}
+
+	MVStage.prototype.variableValue = function(id) {
+		return $gameVariables.value(id);
+	}
+
+	MVStage.prototype.note = function() {
+		return $dataMap ? $dataMap.note : '';
+	}
+
+	MVStage.prototype.wait = function(frames) {
+		$gameMap._interpreter.wait(frames);
+	}
+
 	KCL.Director.Target.prototype.preposition = function(prepositionalPhrase) {
 		var target = this;
 		var extent = prepositionalPhrase.extent();
@@ -1077,6 +3243,7 @@ KCL.Director = KCL.Director || {};
 			case 'UP': 
 			case 'NORTH':
 			case 'TOP':
+			case 'ABOVE':
 			target = new KCL.Director.Target.prototype.fromCoords(target.coords().shift(0,-extent));
 			break;
 			case 'DOWN':
@@ -1092,6 +3259,18 @@ KCL.Director = KCL.Director || {};
 			case 'LEFT':
 			case 'WEST':
 			target = new KCL.Director.Target.prototype.fromCoords(target.coords().shift(-extent, 0));
+			break;
+			case 'BEHIND':
+			case 'FRONT':
+			// only an actor has a front and back to it
+			if (target.isActor()) {
+				var facing = target.getActor().direction();
+				var steps = prepositionalPhrase.getPreposition().getName() === 'BEHIND' ? -extent : extent;
+				var dx = facing === 6 ? 1 : facing === 4 ? -1 : 0;
+				var dy = facing === 2 ? 1 : facing === 8 ? -1 : 0;
+				target = new KCL.Director.Target.prototype.fromCoords(target.coords().shift(dx*steps, dy*steps));
+			}
+			break;
 			case 'OVER': 
 			target = new KCL.Director.Target.prototype.fromCoords(target.coords());
 			break;
@@ -1158,54 +3337,92 @@ KCL.Director = KCL.Director || {};
 		}
 	}
 
-	var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
-	Game_Interpreter.prototype.pluginCommand = function(command, args) {
-		_Game_Interpreter_pluginCommand.call(this, command, args);
+	// The MV runtime hooks are skipped when the Director is loaded without the
+	// engine, e.g. headless under Node.
+	if (typeof Game_Interpreter !== 'undefined') {
+		var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+		Game_Interpreter.prototype.pluginCommand = function(command, args) {
+			_Game_Interpreter_pluginCommand.call(this, command, args);
+
+			if (command.toUpperCase() === 'DIRECT') {
+				KCL.Director.$.direct(KCL.Director.Context.prototype.fromPluginArgs(args).directedTo(KCL.Director.DirectedTo.Actor));
+			} else if (command.toUpperCase() === 'DIRECTOR') {
+				KCL.Director.$.direct(KCL.Director.Context.prototype.fromPluginArgs(args).directedTo(KCL.Director.DirectedTo.Director));
+			}
 
-		if (command.toUpperCase() === 'DIRECT') {
-			KCL.Director.$.direct(KCL.Director.Context.prototype.fromPluginArgs(args).directedTo(KCL.Director.DirectedTo.Actor));
-		} else if (command.toUpperCase() === 'DIRECTOR') {
-			KCL.Director.$.direct(KCL.Director.Context.prototype.fromPluginArgs(args).directedTo(KCL.Director.DirectedTo.Director));
+			this.wait(1);
+		};
+
+		var _Game_CharacterBase_initMembers = Game_CharacterBase.prototype.initMembers;
+		Game_CharacterBase.prototype.initMembers = function() {
+			_Game_CharacterBase_initMembers.call(this);
+
+			this._guid = _.uniqueId();
+		};
+
+		var _Game_CharacterBase_updateStop = Game_CharacterBase.prototype.updateStop;
+		Game_CharacterBase.prototype.updateStop = function() {
+			_Game_CharacterBase_updateStop.call(this);
+
+			var actor = KCL.Director.$.scene.getActorForCharacter(this);
+			if (actor)
+				KCL.Director.$.actorTick(actor);
+		};
+
+		// directed followers don't chase the player or take on their speed
+		var _Game_Follower_chaseCharacter = Game_Follower.prototype.chaseCharacter;
+		Game_Follower.prototype.chaseCharacter = function(character) {
+			if (!KCL.Director.$.isDetached(this))
+				_Game_Follower_chaseCharacter.apply(this, arguments);
+		};
+
+		var _Game_Follower_update = Game_Follower.prototype.update;
+		Game_Follower.prototype.update = function() {
+			if (KCL.Director.$.isDetached(this))
+				Game_Character.prototype.update.call(this);
+			else
+				_Game_Follower_update.call(this);
+		};
+
+		// the player doesn't drag the camera around while the Director has it
+		var _Game_Player_updateScroll = Game_Player.prototype.updateScroll;
+		Game_Player.prototype.updateScroll = function(lastScrolledX, lastScrolledY) {
+			if (!KCL.Director.$.isCameraDirected())
+				_Game_Player_updateScroll.apply(this, arguments);
+		};
+
+		// The Director ticks once a frame, ahead of the map's interpreters.
+		// Game_Interpreter.update runs several times a frame with parallel
+		// events about, which would run FOR and AFTER timers too fast.
+		var _Game_Map_update = Game_Map.prototype.update;
+		Game_Map.prototype.update = function(sceneActive) {
+			KCL.Director.$.tick();
+
+			_Game_Map_update.apply(this, arguments);
 		}
 
-		this.wait(1);
-	};
-
-	var _Game_CharacterBase_initMembers = Game_CharacterBase.prototype.initMembers;
-	Game_CharacterBase.prototype.initMembers = function() {
-		_Game_CharacterBase_initMembers.call(this);
-
-		this._guid = _.uniqueId();
-	};
-
-	var _Game_Interpreter_setup = Game_Interpreter.prototype.setup;
-	Game_Interpreter.prototype.setup = function() {
-		_Game_Interpreter_setup.apply(this, arguments);
-
-		KCL.Director.$.changeScene();
-	}
+		var _Game_Map_initialize = Game_Map.prototype.initialize;
+		Game_Map.prototype.initialize = function() {
+			_Game_Map_initialize.call(this);
+		}
 
-	var _Game_Interpreter_update = Game_Interpreter.prototype.update;
-	Game_Interpreter.prototype.update = function() {
-		KCL.Director.$.tick(); 
+		var _Game_Map_setup = Game_Map.prototype.setup;
+		Game_Map.prototype.setup = function(mapId) {
+			_Game_Map_setup.apply(this, arguments);
 
-		_Game_Interpreter_update.apply(this, arguments);
+			// a new map is a new scene; events starting up on the same map,
+			// parallel ones included, share the one that's playing
+			KCL.Director.$.changeScene();
+			KCL.Director.$.loadMap();
+		}
 	}
 
-	var _Game_CharacterBase_updateStop = Game_CharacterBase.prototype.updateStop;
-	Game_CharacterBase.prototype.updateStop = function() {
-		_Game_CharacterBase_updateStop.call(this);
-
-		var actor = KCL.Director.$.scene.getActorForCharacter(this);
-		if (actor)
-			KCL.Director.$.actorTick(actor);
-	};
+	KCL.Director.$ = new SceneDirector();
 
-	var _Game_Map_initialize = Game_Map.prototype.initialize;
-	Game_Map.prototype.initialize = function() {
-		_Game_Map_initialize.call(this);
+	// Start building directions for the given actors (none for the Director
+	// itself). See DirectionBuilder.
+	KCL.Director.direct = function() {
+		return new DirectionBuilder(KCL.Director.$, _.toArray(arguments));
 	}
 
-	KCL.Director.$ = new SceneDirector();
-
 })();
\ No newline at end of file
@@ -0,0 +1,522 @@
+//=============================================================================
+// Director - Tests
+//=============================================================================
+//
+// Runs Director commands against the headless stage and checks where
+// everyone ends up. No test runner needed:
+//
+//   node test/director.js
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+['MVLodash.js', 'KCL_Director.js', 'KCL_Director_Scene.js',
+ 'KCL_Director_Headless.js'].forEach(function(file) {
+	vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), file);
+});
+
+var director = KCL.Director.$;
+director._debug = false;
+// the tests check diagnostics themselves rather than have them printed
+director.on('parseError', function() {});
+
+var tests = [];
+
+function test(name, fn) {
+	tests.push({ name: name, fn: fn });
+}
+
+// A 10x5 open field with the player in the top left corner, the GUARD in
+// the bottom right and the KING in the middle.
+function stage(config) {
+	return new KCL.Director.GridStage(_.defaults({}, config, {
+		map: ['..........', '..........', '..........', '..........', '..........'],
+		player: { x: 0, y: 0 },
+		events: [ { id: 1, name: 'GUARD', x: 9, y: 4 }, { id: 2, name: 'KING', x: 5, y: 2 } ]
+	}));
+}
+
+// Runs commands on a fresh stage until everyone's idle.
+function play(commands, config, maxFrames) {
+	var s = stage(config);
+	var sim = new KCL.Director.Simulator(s);
+	var trace = sim.run(commands, maxFrames);
+	return { stage: s, sim: sim, trace: trace };
+}
+
+// Steps a simulator which was given its commands some other way.
+function stepUntilIdle(sim, maxFrames) {
+	for (var i = 0; i < (maxFrames || 600); i++) {
+		sim.step();
+		if (sim.isIdle()) break;
+	}
+}
+
+function at(character) {
+	return [character.x, character.y];
+}
+
+function actorIn(frame, name) {
+	return _.find(frame.actors, function(actor) { return actor.name === name; });
+}
+
+test('MOVE walks the steps it is told', function() {
+	var p = play(['DIRECT PLAYER TO MOVE RIGHT 3 STEPS THEN MOVE DOWN 2 STEPS']);
+	assert.deepEqual(at(p.stage.player()), [3, 2]);
+});
+
+test('MOVE off the map stays put', function() {
+	var p = play(['DIRECT PLAYER TO MOVE LEFT 2 STEPS'], {}, 120);
+	assert.deepEqual(at(p.stage.player()), [0, 0]);
+	assert.equal(p.stage.player().direction(), 4);
+});
+
+test('unknown words are diagnosed, and throw when strict', function() {
+	director.setStage(stage());
+	var diagnostics = director.fromString('DIRECT PLAYER TO MOVE LEFT BLARG');
+	assert.equal(diagnostics.length, 1);
+	assert.equal(diagnostics[0].token, 'BLARG');
+	assert.ok(diagnostics[0].isError());
+
+	director.setStrict(true);
+	try {
+		assert.throws(function() { director.fromString('DIRECT PLAYER TO MOVE LEFT BLARG'); }, KCL.Director.ParseError);
+	} finally {
+		director.setStrict(false);
+	}
+});
+
+test('missing actors and verbs are diagnosed and nothing runs', function() {
+	director.setStage(stage());
+	director.changeScene();
+	function errors(command) {
+		return _.map(_.filter(director.fromString(command), function(d) { return d.isError(); }), function(d) {
+			return [d.message, d.token];
+		});
+	}
+	assert.deepEqual(errors('DIRECT'), [['nothing was supplied', '']]);
+	assert.deepEqual(errors('DIRECT NOBODY TO MOVE LEFT')[0], ['unknown actor', 'NOBODY']);
+	assert.deepEqual(errors('DIRECT PLAYER TO DANCE')[0], ['unknown verb', 'DANCE']);
+	assert.ok(!_.any(director.scene.directions));
+});
+
+test('a parseError listener keeps errors off the console', function() {
+	director.setStage(stage());
+	var warned = [];
+	var warn = console.warn, log = console.log;
+	console.warn = function(message) { warned.push(message); };
+	// debugging logs the parse as well, which isn't what's being checked
+	console.log = function() {};
+	director._debug = true;
+	try {
+		director.fromString('DIRECT PLAYER TO MOVE LEFT BLARG');
+	} finally {
+		console.warn = warn;
+		console.log = log;
+		director._debug = false;
+	}
+	assert.deepEqual(warned, []);
+});
+
+test('REPEAT replays a THEN chain', function() {
+	var p = play(['DIRECT GUARD TO MOVE LEFT 2 STEPS THEN MOVE RIGHT 2 STEPS REPEAT 2 TIMES']);
+	var xs = _.map(p.trace, function(frame) { return actorIn(frame, 'GUARD').x; });
+	var turns = _.filter(xs, function(x, i) { return x === 7 && xs[i-1] !== 7; });
+	assert.equal(turns.length, 2);
+	assert.deepEqual(at(p.stage.event(1)), [9, 4]);
+});
+
+test('AFTER holds a direction back', function() {
+	var p = play(['DIRECT PLAYER TO MOVE RIGHT 1 STEP AFTER 30 FRAMES']);
+	assert.equal(actorIn(p.trace[29], 'PLAYER').x, 0);
+	assert.deepEqual(at(p.stage.player()), [1, 0]);
+});
+
+test('FOR stops a direction once its time is up', function() {
+	var p = play(['DIRECT PLAYER TO MOVE RIGHT FOR 30 FRAMES']);
+	var x = p.stage.player().x;
+	assert.ok(x > 0 && x < 4, 'moved ' + x);
+});
+
+test('UNTIL a switch is on', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT PLAYER TO MOVE RIGHT UNTIL SWITCH 3 IS ON');
+	for (var i = 0; i < 40; i++) sim.step();
+	s.setSwitch(3, true);
+	stepUntilIdle(sim);
+	assert.ok(s.player().x > 0 && s.player().x < 9, 'moved ' + s.player().x);
+});
+
+test('UNTIL a variable passes a value', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT PLAYER TO MOVE RIGHT UNTIL VARIABLE 4 GREATERTHAN 10');
+	for (var i = 0; i < 40; i++) sim.step();
+	var x = s.player().x;
+	s.setVariable(4, 10);
+	for (i = 0; i < 40; i++) sim.step();
+	assert.ok(s.player().x > x, 'stopped at 10');
+	s.setVariable(4, 11);
+	stepUntilIdle(sim);
+	assert.ok(s.player().x < 9, 'moved ' + s.player().x);
+});
+
+test('UNTIL an actor is NEAR or REACHES a target', function() {
+	var p = play(['DIRECT GUARD TO MOVE LEFT UNTIL GUARD IS NEAR KING'], {
+		events: [ { id: 1, name: 'GUARD', x: 9, y: 4 }, { id: 2, name: 'KING', x: 5, y: 3 } ]
+	});
+	assert.deepEqual(at(p.stage.event(1)), [6, 4]);
+
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT KING TO FOLLOW PLAYER UNTIL GUARD REACHES PLAYER');
+	for (var i = 0; i < 10; i++) sim.step();
+	assert.ok(_.any(director.scene.directions));
+	// nobody can walk onto the player, so put the GUARD there
+	_.extend(s.event(1), { x: 0, y: 0, _realX: 0, _realY: 0 });
+	stepUntilIdle(sim);
+	assert.ok(!_.any(director.scene.directions));
+});
+
+test('AND is checked before OR', function() {
+	var config = { events: [ { id: 1, name: 'GUARD', x: 9, y: 4 }, { id: 2, name: 'KING', x: 5, y: 3 } ] };
+	var command = 'DIRECT GUARD TO MOVE LEFT UNTIL SWITCH 1 IS ON AND SWITCH 2 IS ON OR GUARD IS NEAR KING';
+	var p = play([command], config);
+	assert.deepEqual(at(p.stage.event(1)), [6, 4]);
+
+	p = play([command], _.extend({ switches: { 1: true, 2: true } }, config));
+	assert.ok(p.stage.event(1).x > 6, 'stopped at ' + p.stage.event(1).x);
+});
+
+test('DEFINE VERB makes a macro', function() {
+	var p = play(['DIRECTOR DEFINE VERB PACE AS MOVE LEFT 2 STEPS', 'DIRECT GUARD TO PACE']);
+	assert.deepEqual(at(p.stage.event(1)), [7, 4]);
+});
+
+test('marks come from DEFINE MARK and map notes', function() {
+	var p = play(['DIRECT PLAYER TO MOVE TO STAGE_LEFT'], { note: '<mark:STAGE_LEFT 2 3>' });
+	assert.deepEqual(at(p.stage.player()), [2, 3]);
+
+	p = play(['DIRECTOR DEFINE MARK NAMED SPOT AS 2 SPACES UP FROM GUARD', 'DIRECT KING TO MOVE TO SPOT']);
+	assert.deepEqual(at(p.stage.event(2)), [9, 2]);
+});
+
+test('run() resolves once the directions are done', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	var handle = director.run('DIRECT PLAYER TO MOVE RIGHT 2 STEPS');
+	stepUntilIdle(sim);
+	return handle.then(function() {
+		assert.deepEqual(at(s.player()), [2, 0]);
+	});
+});
+
+test('run() rejects when cancelled', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	var handle = director.run('DIRECT GUARD TO FOLLOW PLAYER');
+	sim.step();
+	handle.cancel();
+	return handle.then(function() {
+		assert.fail('resolved');
+	}, function(e) {
+		assert.equal(e.name, 'CancelError');
+	});
+});
+
+test('the builder chains directions', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	KCL.Director.direct('PLAYER').verb('MOVE').to(3, 4).then('FACE').toward('GUARD').commit();
+	stepUntilIdle(sim);
+	assert.deepEqual(at(s.player()), [3, 4]);
+	assert.equal(s.player().direction(), 6);
+});
+
+test('a builder has to be committed before waiting on it', function() {
+	director.setStage(stage());
+	director.changeScene();
+	return Promise.resolve(KCL.Director.direct('PLAYER').verb('FACE').toward('GUARD')).then(function() {
+		assert.fail('resolved');
+	}, function(e) {
+		assert.ok(/commit/.test(e.message), e.message);
+	});
+});
+
+test('events follow directions along', function() {
+	var seen = [];
+	function onDone(direction) { seen.push(direction.getVerb().verb); }
+	function onIdle() { seen.push('IDLE'); }
+	director.on('directionDone', onDone).on('sceneIdle', onIdle);
+	try {
+		play(['DIRECT PLAYER TO MOVE RIGHT 1 STEP THEN FACE GUARD']);
+	} finally {
+		director.off('directionDone', onDone).off('sceneIdle', onIdle);
+	}
+	assert.deepEqual(seen, ['MOVE', 'FACE', 'IDLE']);
+});
+
+test('sceneIdle follows commands which finish straight away', function() {
+	var idle = 0;
+	function onIdle() { idle++; }
+	director.on('sceneIdle', onIdle);
+	try {
+		play(['DIRECTOR DEFINE MARK NAMED SPOT AS [1,1]']);
+	} finally {
+		director.off('sceneIdle', onIdle);
+	}
+	assert.equal(idle, 1);
+});
+
+test('NOW cuts in front of what an actor is doing', function() {
+	var s = stage();
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT GUARD TO MOVE LEFT 3 STEPS');
+	for (var i = 0; i < 5; i++) sim.step();
+	director.fromString('DIRECT GUARD TO FACE UP NOW');
+	stepUntilIdle(sim);
+	assert.equal(s.event(1).direction(), 8);
+	assert.ok(s.event(1).x > 6, 'the MOVE was cut short');
+});
+
+test('a queued HALT leaves what comes after it', function() {
+	var p = play(['DIRECT GUARD TO MOVE LEFT 3 STEPS', 'DIRECT GUARD TO HALT QUEUE', 'DIRECT GUARD TO MOVE UP 2 STEPS']);
+	assert.deepEqual(at(p.stage.event(1)), [6, 2]);
+});
+
+test('ALL EXCEPT directs everyone else', function() {
+	var p = play(['DIRECT ALL EXCEPT PLAYER TO FACE PLAYER']);
+	assert.equal(p.stage.event(1).direction(), 4);
+	assert.equal(p.stage.event(2).direction(), 4);
+	assert.equal(p.stage.player().direction(), 2);
+});
+
+test('groups are actors', function() {
+	var p = play(['DIRECTOR DEFINE GROUP NAMED GUARDS AS GUARD AND KING', 'DIRECT EACH OF GUARDS TO MOVE UP 1 STEP']);
+	assert.deepEqual(at(p.stage.event(1)), [9, 3]);
+	assert.deepEqual(at(p.stage.event(2)), [5, 1]);
+});
+
+test('the party can be directed', function() {
+	var s = stage({ followers: [ { x: 0, y: 1 }, { x: 0, y: 2 } ] });
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT PARTY TO FACE KING');
+	sim.step();
+	_.each([s.player()].concat(s.followers()), function(character) {
+		assert.equal(character.direction(), 6);
+	});
+});
+
+test('followers fall back in line when they are done', function() {
+	var s = stage({ followers: [ { x: 0, y: 1 }, { x: 0, y: 2 } ] });
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT FOLLOWER 1 TO MOVE RIGHT 4 STEPS');
+	for (var i = 0; i < 600 && !_.isEqual(at(s.followers()[0]), [4, 1]); i++) sim.step();
+	assert.deepEqual(at(s.followers()[0]), [4, 1]);
+	stepUntilIdle(sim);
+	_.each(s.followers(), function(follower) {
+		assert.deepEqual(at(follower), at(s.player()));
+	});
+});
+
+test('BOARD, sail and DISEMBARK', function() {
+	var p = play(['DIRECT PLAYER TO BOARD SHIP THEN SHIP MOVE RIGHT 4 STEPS THEN SHIP MOVE DOWN 2 STEPS THEN DISEMBARK SOUTH'], {
+		map: ['.....~~~~~', '.....~~~~~', '.....~~~~~', '..........', '..........'],
+		events: [],
+		vehicles: [ { type: 'SHIP', x: 5, y: 0 } ]
+	});
+	assert.deepEqual(at(p.stage.player()), [9, 3]);
+	assert.deepEqual(at(p.stage.vehicle('SHIP')), [9, 2]);
+});
+
+test('BOARD needs a vehicle', function() {
+	director.setStage(stage());
+	var diagnostics = director.fromString('DIRECT PLAYER TO BOARD KING');
+	assert.ok(_.any(diagnostics, function(d) { return d.isError(); }));
+});
+
+test('REGION and TERRAIN are areas', function() {
+	var p = play(['DIRECT PLAYER TO MOVE TO REGION 7', 'DIRECT KING TO MOVE TO TERRAIN 3'], {
+		regions: { 7: [ [6, 0] ] },
+		terrainTags: { 3: [ [2, 4] ] }
+	});
+	assert.deepEqual(at(p.stage.player()), [6, 0]);
+	assert.deepEqual(at(p.stage.event(2)), [2, 4]);
+});
+
+test('actors sent to one area take different tiles', function() {
+	var p = play(['DIRECT PLAYER TO MOVE TO REGION 7', 'DIRECT GUARD TO MOVE TO REGION 7'], {
+		regions: { 7: [ [6, 0], [7, 0] ] }
+	});
+	assert.deepEqual(at(p.stage.player()), [6, 0]);
+	assert.deepEqual(at(p.stage.event(1)), [7, 0]);
+});
+
+test('MAP_ and SCREEN_ landmarks', function() {
+	director.setStage(stage({ screen: { x: 4, y: 1, width: 5, height: 3 } }));
+	assert.deepEqual(director.getTarget('MAP_TOP_RIGHT').coords(), new KCL.Director.Coords(9, 0));
+	assert.deepEqual(director.getTarget('SCREEN_BOTTOM_RIGHT').coords(), new KCL.Director.Coords(8, 3));
+});
+
+test('MAP_SIDE is the nearer side', function() {
+	var p = play(['DIRECT GUARD TO MOVE TO MAP_SIDE']);
+	assert.deepEqual(at(p.stage.event(1)), [9, 2]);
+
+	p = play(['DIRECT PLAYER TO MOVE TO MAP_SIDE']);
+	assert.deepEqual(at(p.stage.player()), [0, 2]);
+});
+
+test('IN FRONT OF and BEHIND', function() {
+	var p = play(['DIRECT PLAYER TO MOVE IN FRONT OF KING']);
+	assert.deepEqual(at(p.stage.player()), [5, 3]);
+
+	p = play(['DIRECT PLAYER TO MOVE BEHIND KING']);
+	assert.deepEqual(at(p.stage.player()), [5, 1]);
+});
+
+test('coordinates, event IDs and quoted names', function() {
+	var p = play(['DIRECT PLAYER TO MOVE TO [+2,3]', 'DIRECT #2 TO MOVE TO [V1,V2]', 'DIRECT "Old Man" TO FACE PLAYER'], {
+		events: [ { id: 1, name: 'Old Man', x: 9, y: 4 }, { id: 2, name: 'KING', x: 5, y: 2 } ],
+		variables: { 1: 7, 2: 0 }
+	});
+	assert.deepEqual(at(p.stage.player()), [2, 3]);
+	assert.deepEqual(at(p.stage.event(2)), [7, 0]);
+	assert.equal(p.stage.event(1).direction(), 4);
+});
+
+test('JUMP lands where it was told', function() {
+	var p = play(['DIRECT GUARD TO JUMP 3 SPACES UP']);
+	assert.ok(_.any(p.trace, function(frame) { return actorIn(frame, 'GUARD').jumping; }));
+	assert.deepEqual(at(p.stage.event(1)), [9, 1]);
+});
+
+test('SAY shows one message at a time', function() {
+	var p = play(['DIRECT KING TO SAY "Welcome," "traveller."', 'DIRECT PLAYER TO SAY "Hi"'], { messageFrames: 10 });
+	assert.deepEqual(_.pluck(p.stage.messages(), 'lines'), [['Welcome,', 'traveller.'], ['Hi']]);
+});
+
+test('SAY carries long text over several messages', function() {
+	var p = play(['DIRECT KING TO SAY "One" "Two" "Three" "Four" "Five"'], { messageFrames: 10 });
+	assert.deepEqual(_.pluck(p.stage.messages(), 'lines'), [['One', 'Two', 'Three'], ['Four', 'Five']]);
+});
+
+test('EMOTE plays a balloon', function() {
+	var p = play(['DIRECT KING TO EMOTE QUESTION']);
+	assert.ok(_.any(p.trace, function(frame) { return actorIn(frame, 'KING').balloon; }));
+});
+
+test('EMOTE FOR a while plays the balloon over again', function() {
+	var p = play(['DIRECT KING TO EMOTE QUESTION FOR 3 SECONDS']);
+	var starts = _.filter(p.trace, function(frame, i) {
+		return actorIn(frame, 'KING').balloon && !(i && actorIn(p.trace[i-1], 'KING').balloon);
+	});
+	assert.ok(starts.length > 1, 'played ' + starts.length + ' times');
+});
+
+test('ANIMATE plays on a target', function() {
+	var s = stage({ animations: [ { id: 42, name: 'Fire', frames: 10 } ] });
+	var sim = new KCL.Director.Simulator(s);
+	director.changeScene();
+	director.fromString('DIRECT KING TO ANIMATE "Fire" ON GUARD');
+	sim.step();
+	sim.step();
+	assert.ok(s.event(1).isAnimationPlaying());
+	assert.ok(!s.event(2).isAnimationPlaying());
+	stepUntilIdle(sim);
+	assert.ok(!s.event(1).isAnimationPlaying());
+});
+
+test('words after an unknown verb are diagnosed, not a crash', function() {
+	director.setStage(stage());
+	var diagnostics = director.fromString('DIRECTOR BLARG ALL');
+	assert.ok(_.any(diagnostics, function(d) { return d.token === 'BLARG' && d.isError(); }));
+
+	diagnostics = director.fromString('DIRECT EACH OF NOBODY TO FACE PLAYER');
+	assert.ok(_.any(diagnostics, function(d) { return d.isError(); }));
+});
+
+test('screen effects', function() {
+	var p = play(['DIRECTOR FADE OUT FOR 10 FRAMES THEN FADE IN', 'DIRECTOR SHAKE STRONGLY']);
+	assert.deepEqual(_.pluck(p.stage.effects(), 'effect'), ['FADE', 'SHAKE', 'FADE']);
+});
+
+test('WAIT ALL holds the interpreter until the screen settles', function() {
+	var p = play(['DIRECTOR FADE OUT FOR 30 FRAMES', 'DIRECTOR WAIT ALL']);
+	assert.ok(p.trace[10].waiting);
+	assert.ok(!_.last(p.trace).waiting);
+	assert.ok(p.trace.length >= 30, 'waited ' + p.trace.length + ' frames');
+});
+
+test('TINT and FLASH need a tint or color they know', function() {
+	director.setStage(stage());
+	_.each(['DIRECTOR TINT PURPLE', 'DIRECTOR FLASH'], function(command) {
+		var diagnostics = director.fromString(command);
+		assert.ok(_.any(diagnostics, function(d) { return d.token === command.split(' ')[1] && d.isError(); }), command);
+	});
+
+	var p = play(['DIRECTOR TINT PURPLE', 'DIRECTOR FLASH']);
+	assert.deepEqual(p.stage.effects(), []);
+});
+
+test('PAN and RETURN the camera', function() {
+	var field = _.times(15, function() { return '....................'; });
+	var p = play(['DIRECTOR PAN TO [15,10] QUICKLY'], {
+		map: field,
+		screen: { x: 0, y: 0, width: 10, height: 5 }
+	}, 2000);
+	assert.deepEqual([p.stage.displayX(), p.stage.displayY()], [10, 8]);
+	assert.ok(director.isCameraDirected());
+
+	director.fromString('DIRECTOR RETURN CAMERA QUICKLY');
+	stepUntilIdle(p.sim, 2000);
+	assert.deepEqual([p.stage.displayX(), p.stage.displayY()], [0, 0]);
+	assert.ok(!director.isCameraDirected());
+});
+
+test('FOCUS keeps the camera on a moving target', function() {
+	var field = _.times(15, function() { return '....................'; });
+	var p = play(['DIRECTOR FOCUS ON GUARD QUICKLY'], {
+		map: field,
+		events: [ { id: 1, name: 'GUARD', x: 15, y: 10 } ],
+		screen: { x: 0, y: 0, width: 10, height: 5 }
+	}, 2000);
+	assert.deepEqual([p.stage.displayX(), p.stage.displayY()], [10, 8]);
+
+	director.fromString('DIRECT GUARD TO MOVE LEFT 4 STEPS');
+	stepUntilIdle(p.sim, 2000);
+	for (var i = 0; i < 60; i++) p.sim.step();
+	assert.deepEqual([p.stage.displayX(), p.stage.displayY()], [6.5, 8]);
+});
+
+function run(index, failures) {
+	if (index >= tests.length) {
+		console.log(failures ? failures + ' of ' + tests.length + ' failed' : 'all ' + tests.length + ' passed');
+		process.exitCode = failures ? 1 : 0;
+		return;
+	}
+
+	var t = tests[index];
+	Promise.resolve()
+		.then(function() { return t.fn(); })
+		.then(function() {
+			console.log('ok ' + t.name);
+			run(index + 1, failures);
+		}, function(e) {
+			console.log('not ok ' + t.name + '\n  ' + (e.stack || e));
+			run(index + 1, failures + 1);
+		});
+}
+
+run(0, 0);